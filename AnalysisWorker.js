@@ -0,0 +1,22 @@
+// The script of the analysis workers (createAnalysisPool in megascore.html), started as a module worker.
+// Each message is one session to analyse with analyzeSessionData (SessionAnalysis.js).
+//
+// EDFFile.js, FlowLimits.js and SessionAnalysis.js stay plain scripts so megascore.html works when opened
+// from disk. Imported here they run as modules, where their top-level declarations aren't globals - each
+// hands the functions the next one calls to the worker's global scope (see the end of each file).
+
+import "./EDFFile.js";
+import "./FlowLimits.js";
+import "./SessionAnalysis.js";
+
+// { id, job } in. { id, stage } as the analysis moves on, then { id, analysis } or { id, error }.
+// The flow and idealised flow go back as transferred buffers, so a night's samples aren't copied between the threads.
+self.onmessage = function (event) {
+	const id = event.data.id;
+	try {
+		const analysis = analyzeSessionData(event.data.job, stage => self.postMessage({ id: id, stage: stage }));
+		self.postMessage({ id: id, analysis: analysis }, [analysis.flowSignal.values.buffer, analysis.idealValues.buffer]);
+	} catch (error) {
+		self.postMessage({ id: id, error: error.message });
+	}
+};
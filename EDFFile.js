@@ -1,4 +1,4 @@
-/* 
+/*
 Copyright 2025 DaveSkvn
 This program is free software: you can redistribute it and/or modify it under the terms of the GNU General Public License as published by the
  Free Software Foundation, either version 3 of the License, or (at your option) any later version.
@@ -6,35 +6,66 @@ This program is free software: you can redistribute it and/or modify it under th
 This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
 See the GNU General Public License for more details.
 
-You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>. 
+You should have received a copy of the GNU General Public License along with this program. If not, see <https://www.gnu.org/licenses/>.
 */
 
+// The one EDF parser for megascore.html and the modular app (js/parsers/edf.js hands it to the ES modules).
+// It stays a plain script so megascore.html still works when opened straight from disk.
+//
+// Samples are scaled with the full EDF linear mapping (physMin/physMax/digMin/digMax) and then
+// converted to the units the analysis works in, whatever the device recorded them in - so that
+// thresholds like the Glasgow Index grey zone (5 L/min) mean the same thing for every machine.
+// Each signal keeps the unit from its header in originalDimension.
+//
+// The samples are held in typed arrays (digitalValues Int16Array, physicalValues Float32Array) -
+// a night's 25 Hz flow is the best part of a million samples.
+
+// Bump when the parsed values change, so results cached from an older parser are recomputed
+const EDF_PARSER_VERSION = 2;
+
+// Units we analyse in, keyed by the header's physical dimension (lower case, spaces removed)
+const EDF_UNIT_CONVERSIONS = {
+	"l/s": { unit: "L/min", factor: 60 },
+	"l/min": { unit: "L/min", factor: 1 },
+	"ml/s": { unit: "L/min", factor: 0.06 },
+	"l": { unit: "mL", factor: 1000 },
+	"ml": { unit: "mL", factor: 1 },
+	"cmh2o": { unit: "cmH2O", factor: 1 },
+	"hpa": { unit: "cmH2O", factor: 1.01972 },
+	"mbar": { unit: "cmH2O", factor: 1.01972 },
+	"%": { unit: "%", factor: 1 },
+	"percent": { unit: "%", factor: 1 }
+};
+
 function parseEDFFile(arrayBuffer){
-	
+
 	let fileObject = {};
 	fileObject.bytePtr = 0;
 	fileObject.array = new Uint8Array(arrayBuffer);
 	fileObject.getNextFld = function(byteCount){
 		let endByte = this.bytePtr + byteCount;
-		outFld = String.fromCharCode(...fileObject.array.slice(this.bytePtr, endByte)).trim();
+		let outFld = String.fromCharCode(...fileObject.array.slice(this.bytePtr, endByte)).trim();
 		this.bytePtr = endByte;
 		return outFld;
 	};
 	fileObject.getNextInt16 = function(){
 		let lsb = fileObject.array[this.bytePtr++];
 		let msb = fileObject.array[this.bytePtr++];
-		
-		let sampleValue = ( (msb & 0xFF) << 8) | (lsb & 0xFF); 
+
+		let sampleValue = ( (msb & 0xFF) << 8) | (lsb & 0xFF);
 		if (msb >>> 7 == 1){  // Is this value negative?
 			return 0xFFFF0000 | sampleValue;  // Fill to 32 bit negative (2s-compliment format)
 		}else{
-			return sampleValue;  // First 16 bits of 32 bit are zero 
+			return sampleValue;  // First 16 bits of 32 bit are zero
 		}
-	};  
-	
+	};
+
 	let fileData = parseFileHeader(fileObject);
 	fileData = parseSignalHeader(fileObject, fileData);
 	fileData = parseSignals(fileObject, fileData);
+	fileData.parserVersion = EDF_PARSER_VERSION;
+	// the respiratory flow, for the analysis (ResMed BRP "Flow.40ms")
+	fileData.flowSignal = fileData.signals.find(s => /flow|flw/i.test(s.label) && s.physDimension === "L/min") || null;
 	return fileData;
 }
 
@@ -45,12 +76,16 @@ function parseFileHeader(fileArray){
 	fileData.recID = fileArray.getNextFld(80);
 	fileData.startDate = fileArray.getNextFld(8);
 	fileData.startTime = fileArray.getNextFld(8);
-	fileData.headerBytes = fileArray.getNextFld(8);
+	fileData.headerBytes = parseInt(fileArray.getNextFld(8));
 	fileData.reserved = fileArray.getNextFld(44);
-	fileData.dataRecCnt = fileArray.getNextFld(8);
-	fileData.dataDuration = fileArray.getNextFld(8);
-	fileData.noSignals = fileArray.getNextFld(4);
-	fileData.startDateTime = new Date("20" + fileData.startDate.substring(6,8),
+	fileData.dataRecCnt = parseInt(fileArray.getNextFld(8));
+	fileData.dataDuration = parseFloat(fileArray.getNextFld(8));
+	fileData.noSignals = parseInt(fileArray.getNextFld(4));
+
+	// dd.mm.yy - EDF's two digit years run 1985 to 2084
+	let year = parseInt(fileData.startDate.substring(6,8));
+	year += (year < 85) ? 2000 : 1900;
+	fileData.startDateTime = new Date(year,
 			 fileData.startDate.substring(3,5)-1,
 			 fileData.startDate.substring(0,2),
 			 fileData.startTime.substring(0,2),
@@ -74,57 +109,117 @@ function parseSignalHeader(fileArray, fileData){
     	nextSignal.transType = fileArray.getNextFld(80);
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.physDimension = fileArray.getNextFld(8);
+    	nextSignal.originalDimension = fileArray.getNextFld(8);
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.physMin = fileArray.getNextFld(8);
+    	nextSignal.physMin = parseFloat(fileArray.getNextFld(8));
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.physMax = fileArray.getNextFld(8);
+    	nextSignal.physMax = parseFloat(fileArray.getNextFld(8));
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.digMin = fileArray.getNextFld(8);
+    	nextSignal.digMin = parseInt(fileArray.getNextFld(8));
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.digMax = fileArray.getNextFld(8);
+    	nextSignal.digMax = parseInt(fileArray.getNextFld(8));
     }
     for (const nextSignal of fileData.signals) {
     	nextSignal.preFilter = fileArray.getNextFld(80);
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.samplesPerRec = fileArray.getNextFld(8);
+    	nextSignal.samplesPerRec = parseInt(fileArray.getNextFld(8));
     }
     for (const nextSignal of fileData.signals) {
     	nextSignal.reserved = fileArray.getNextFld(32);
     }
     for (const nextSignal of fileData.signals) {
-    	nextSignal.physFactor = nextSignal.physMax / nextSignal.digMax;
+    	// physical = physMin + (digital - digMin) * gain, in the header's unit (physMin/physMax stay in it too)
+    	nextSignal.gain = (nextSignal.digMax !== nextSignal.digMin) ?
+    		(nextSignal.physMax - nextSignal.physMin) / (nextSignal.digMax - nextSignal.digMin) : 1;
+    	let conversion = EDF_UNIT_CONVERSIONS[nextSignal.originalDimension.toLowerCase().replace(/\s/g, "")];
+    	nextSignal.physDimension = conversion ? conversion.unit : nextSignal.originalDimension;
+    	nextSignal.unitFactor = conversion ? conversion.factor : 1;
     	nextSignal.sampleIntervalmS = (1000 * fileData.dataDuration)  / nextSignal.samplesPerRec;
-//    	console.log(fileData.dataDuration + " " + nextSignal.samplesPerRec + " " + nextSignal.sampleIntervalmS);
+    	nextSignal.samplingRate = nextSignal.samplesPerRec / fileData.dataDuration;
     }
     return fileData;
 }
 
 function parseSignals(fileArray, fileData){
+	let recordBytes = fileData.signals.reduce((sum, nextSignal) => sum + nextSignal.samplesPerRec * 2, 0);
+	// -1 while the file was still being recorded, and a truncated file has fewer - count the complete records there are
+	let recordsInFile = (recordBytes > 0) ? Math.floor((fileArray.array.length - fileData.headerBytes) / recordBytes) : 0;
+	if (!(fileData.dataRecCnt >= 0) || fileData.dataRecCnt > recordsInFile){
+		fileData.dataRecCnt = recordsInFile;
+	}
 	for(const nextSignal of fileData.signals){
-		nextSignal.digitalValues = [];
-		nextSignal.physicalValues = [];
+		if (nextSignal.label === "EDF Annotations"){
+			// EDF+ annotation signals hold text, not samples. Keep the raw bytes for decoding.
+			nextSignal.annotationBytes = [];
+			nextSignal.digitalValues = new Int16Array(0);
+			nextSignal.physicalValues = new Float32Array(0);
+			continue;
+		}
+		nextSignal.digitalValues = new Int16Array(fileData.dataRecCnt * nextSignal.samplesPerRec);
+		nextSignal.physicalValues = new Float32Array(fileData.dataRecCnt * nextSignal.samplesPerRec);
 	}
+	fileArray.bytePtr = fileData.headerBytes;
 	for (let rec = 0; rec < fileData.dataRecCnt; rec++) { //fileData.dataRecCnt
 		for(const nextSignal of fileData.signals){
+			if (nextSignal.annotationBytes){
+				let byteCount = nextSignal.samplesPerRec * 2;
+				for (let i = 0; i < byteCount; i++) {
+					nextSignal.annotationBytes.push(fileArray.array[fileArray.bytePtr++]);
+				}
+				continue;
+			}
+			// scale and unit conversion folded into one multiply per sample
+			let factor = nextSignal.gain * nextSignal.unitFactor;
+			let base = (nextSignal.physMin - nextSignal.digMin * nextSignal.gain) * nextSignal.unitFactor;
+			let samplePtr = rec * nextSignal.samplesPerRec;
 			for (let smpl = 0; smpl < nextSignal.samplesPerRec; smpl++) {
 				let nextDigitalVal = fileArray.getNextInt16();
-				nextSignal.digitalValues.push(nextDigitalVal);
-				if (nextSignal.label.includes("Flow")){
-					nextSignal.physicalValues.push( (nextDigitalVal * nextSignal.physFactor * 60).toFixed(2));
-				}else if(nextSignal.label.includes("Press")){
-					nextSignal.physicalValues.push( (nextDigitalVal * nextSignal.physFactor).toFixed(2));
-				}else{
-					nextSignal.physicalValues.push( nextDigitalVal);
-				}
-//				console.log(  (nextDigitalVal * nextSignal.physFactor * 60).toFixed(2)  );
+				nextSignal.digitalValues[samplePtr + smpl] = nextDigitalVal;
+				nextSignal.physicalValues[samplePtr + smpl] = base + nextDigitalVal * factor;
 			}
 		}
     }
+    fileData.annotations = parseAnnotations(fileData);
     return fileData;
 }
+
+// Decode the EDF+ Time-stamped Annotation Lists (TALs) of any annotation signal.
+// Each TAL is "+onset[0x15 duration]0x14 text 0x14 [text 0x14 ...]0x00", with onset/duration in seconds
+// from the start of the file. The first TAL of each data record only keeps time and has no text - skip those.
+function parseAnnotations(fileData){
+	let annotations = [];
+	for (const nextSignal of fileData.signals){
+		if (!nextSignal.annotationBytes){
+			continue;
+		}
+		let talText = new TextDecoder("utf-8").decode(new Uint8Array(nextSignal.annotationBytes));
+		for (const nextTAL of talText.split("\0")){
+			let talParts = nextTAL.split("\x14");
+			if (talParts.length < 2){
+				continue;  // padding between records
+			}
+			let timing = talParts[0].split("\x15");
+			let onset = parseFloat(timing[0]);
+			let duration = (timing.length > 1 && timing[1] !== "") ? parseFloat(timing[1]) : 0;
+			if (isNaN(onset)){
+				continue;
+			}
+			for (let i = 1; i < talParts.length; i++) {
+				if (talParts[i] === ""){
+					continue;
+				}
+				annotations.push({ onset: onset, duration: duration, text: talParts[i] });
+			}
+		}
+	}
+	annotations.sort((a, b) => a.onset - b.onset);
+	return annotations;
+}
+
+// Imported by AnalysisWorker.js as a module, where the declarations above aren't globals
+globalThis.parseEDFFile = parseEDFFile;
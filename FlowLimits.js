@@ -10,97 +10,199 @@ You should have received a copy of the GNU General Public License along with thi
 */
 
 
-let _millisPerSampleCache = 40;
-function getMillisPerSample(dataArray) {
-	if (!dataArray || dataArray.length < 2) return _millisPerSampleCache;
-	try {
-		const d1 = new Date(dataArray[0].x).getTime();
-		const d2 = new Date(dataArray[1].x).getTime();
-		const diff = d2 - d1;
-		if (diff > 0 && diff < 1000) {
-			_millisPerSampleCache = diff;
-			return diff;
-		}
-	} catch (e) { }
-	return _millisPerSampleCache;
+// A flow signal is its samples in a Float32Array, the time of the first sample and the sample rate:
+//   { values, startMs, samplingRate, segments }
+// An 8 hour night at 25 Hz is 720,000 samples - too many to hold as chart points, so {x, y} points
+// are only formed for the samples on show in the detail chart (signalChartPoints).
+// The sessions of a night are joined end to end (joinSignals). segments then holds where each one
+// starts, as [{ start (sample index), startMs, samplingRate }], so the samples keep their wall-clock times.
+const DEFAULT_MILLIS_PER_SAMPLE = 40; // ResMed BRP flow is 25 Hz
+
+function makeSignal(values, startDateTime, samplingRate) {
+	return {
+		values: (values instanceof Float32Array) ? values : Float32Array.from(values),
+		startMs: startDateTime.getTime(),
+		samplingRate: samplingRate,
+		segments: null
+	};
+}
+
+// Join signals end to end into one, keeping the start time and rate of each in its segments
+function joinSignals(signals) {
+	let length = signals.reduce((sum, nextSignal) => sum + nextSignal.values.length, 0);
+	let joined = { values: new Float32Array(length), startMs: 0, samplingRate: 0, segments: [] };
+	let start = 0;
+	for (const nextSignal of signals) {
+		joined.values.set(nextSignal.values, start);
+		joined.segments.push({ start: start, startMs: nextSignal.startMs, samplingRate: nextSignal.samplingRate });
+		start += nextSignal.values.length;
+	}
+	if (joined.segments.length > 0) {
+		joined.startMs = joined.segments[0].startMs;
+		joined.samplingRate = joined.segments[0].samplingRate;
+	}
+	return joined;
+}
+
+function getMillisPerSample(signal) {
+	return (signal && signal.samplingRate > 0) ? 1000 / signal.samplingRate : DEFAULT_MILLIS_PER_SAMPLE;
+}
+
+// The wall-clock time (ms) of a sample, allowing for the gaps between the segments of a joined signal
+function signalTimeMs(signal, samplePos) {
+	let segment = signal;
+	let segmentStart = 0;
+	for (const nextSegment of (signal.segments || [])) {
+		if (nextSegment.start > samplePos) {
+			break;
+		}
+		segment = nextSegment;
+		segmentStart = nextSegment.start;
+	}
+	return segment.startMs + (samplePos - segmentStart) * getMillisPerSample(segment);
+}
+
+// The number of samples of the signal that span a time - the thresholds are in seconds, so they
+// mean the same at any sample rate
+function secondsToSamples(signal, seconds) {
+	return Math.round(seconds * 1000 / getMillisPerSample(signal));
 }
 
-const DETAIL_SAMPLES_SHOW = 1500;
+function signalChartDate(signal, samplePos) {
+	return formatChartDate(new Date(signalTimeMs(signal, samplePos)));
+}
+
+// Chart points for samples startPtr up to (not including) endPtr - of the signal, or of values
+// that run alongside it (e.g. the idealised flow). x is the time in milliseconds. Past DETAIL_MAX_POINTS
+// samples each run of them is thinned to its lowest and highest, which is all a chart that wide can show.
+function signalChartPoints(signal, startPtr, endPtr, values = signal.values) {
+	let points = [];
+	let first = Math.max(startPtr, 0);
+	let last = Math.min(endPtr, values.length);
+	let run = Math.ceil(2 * (last - first) / DETAIL_MAX_POINTS);
+	if (run <= 2) {
+		for (let i = first; i < last; i++) {
+			points.push({ x: signalTimeMs(signal, i), y: values[i] });
+		}
+		return points;
+	}
+	for (let runStart = first; runStart < last; runStart += run) {
+		let lowAt = runStart;
+		let highAt = runStart;
+		for (let i = runStart + 1; i < Math.min(runStart + run, last); i++) {
+			if (values[i] < values[lowAt]) {
+				lowAt = i;
+			}
+			if (values[i] > values[highAt]) {
+				highAt = i;
+			}
+		}
+		for (const i of (lowAt < highAt) ? [lowAt, highAt] : [highAt, lowAt]) {
+			points.push({ x: signalTimeMs(signal, i), y: values[i] });
+		}
+	}
+	return points;
+}
+
+// the detail view shows detailWindowSec of flow (one of DETAIL_WINDOW_SEC, picked on the page) and the
+// back / forward buttons move it by DETAIL_MOVE_FRACTION of that
+const DETAIL_WINDOW_SEC = [10, 30, 60, 120, 300, 600];
+const DETAIL_MOVE_FRACTION = 0.75;
+const DETAIL_MAX_POINTS = 3000;
+// the y axes of the flow chart and the tracks under it are this wide, so their times line up
+const DETAIL_AXIS_PX = 60;
+const DETAIL_TRACK_PX = 90;
+let detailWindowSec = 60;
 const FLOW_BALANCE_ERROR_PCNT = 20;
+const FLOW_BALANCE_MIN_ZONE_MS = 4000;
 
 const STD_COLOURS = ["#ffffff", "#bab8e0", "#aca9eb", "#8680ed", "#090387"];
 const OVERALL_COLOURS = ["#ffffff", "#faacb7", "#f7798a", "#f7546a", "#ed0c2a"];
 const BLACK_COLOUR = "#000000";
-
-// Look for maximum negative (expiration) flow 
-function findMins(dataArray) {
-	const minWindow = Math.round(1000 / getMillisPerSample(dataArray)); // 1 second window
+// tick colours for the machine-scored events (EVE.edf annotations), keyed by event type code
+const MACHINE_EVENT_COLOURS = { OA: "#c0392b", CA: "#2471a3", UA: "#7d3c98", H: "#d68910", RERA: "#17a589",
+	FL: "#ad1457", VS: "#757575", PB: "#00838f", LL: "#ef6c00" };
+const CSR_BAND_COLOUR = "rgba(0, 150, 136, 0.25)";
+
+// Look for maximum negative (expiration) flow. Returns a flag per sample.
+function findMins(flowSignal) {
+	const flow = flowSignal.values;
+	const minWindow = secondsToSamples(flowSignal, 1); // 1 second window
 	const GREY_ZONE_LOWER = -10;
-
-	for (let ptr = 0; ptr < (minWindow); ptr++) {
-		// ignore first MIN_WINDOW samples (1 seconds worth)
-		dataArray[ptr].min = false;
-	}
+	// the first and last MIN_WINDOW samples (1 seconds worth) are ignored - their flags stay 0
+	let isMin = new Uint8Array(flow.length);
 
 	// look at each flow rate sample in turn
-	for (let ptr = minWindow; ptr < (dataArray.length - minWindow); ptr++) {
+	for (let ptr = minWindow; ptr < (flow.length - minWindow - 1); ptr++) {
 
 		// assume each sample is a minimum
 		let minDetected = true;
 		for (let winPtr = (ptr - minWindow); winPtr < (ptr + minWindow - 1); winPtr++) {
-			if (dataArray[winPtr].y < dataArray[ptr].y) {
+			if (flow[winPtr] < flow[ptr]) {
 				//There is a lower valued sample within one second. Overwrite flag and move on to next sample.
 				minDetected = false;
 				break;
 			}
 		}
 
-		if ((minDetected === true) && (dataArray[ptr].y < GREY_ZONE_LOWER)) {
+		if ((minDetected === true) && (flow[ptr] < GREY_ZONE_LOWER)) {
 			// this is the lowest valued sample within 1 second. Flag as a minimum if it is below the "grey zone"
-			dataArray[ptr].min = true;
-		} else {
-			// this is NOT the lowest valued sample within 1 second.
-			dataArray[ptr].min = false;
+			isMin[ptr] = 1;
 		}
 	}
-
-	for (let ptr = (dataArray.length - minWindow - 1); ptr < (dataArray.length - 1); ptr++) {
-		// ignore last MIN_WINDOW samples (1 seconds worth)
-		dataArray[ptr].min = false;
-	}
+	return isMin;
 }
 
 const TOP_THRESHOLD_PRECENT_90 = 0.9;
 const GREY_ZONE_UPPER = 5;
+// shortest inspiration counted, and shortest with its skew and top heavy measured (8 and 12 samples at 25 Hz)
+const MIN_INSPIRATION_SEC = 0.32;
+const MIN_SHAPE_INSPIRATION_SEC = 0.48;
+// preRestSec given to an inspiration when the expiration before it can't be extrapolated - too fast for normal breathing
+const NO_PAUSE_PRE_REST_SEC = -0.4;
+
+// Thresholds used to flag each inspiration (prepIndices). minPeakBump is the smallest dip & rise counted as another peak.
+// Callers pass their own copy (e.g. from the settings panel) - these are the original Glasgow Index values.
+const DEFAULT_GI_THRESHOLDS = {
+	skewLower: 45,
+	skewUpper: 55,
+	topHeavy: 40,
+	flatTop: 0.75,
+	spike: 20,
+	noPause: 0.4, // seconds
+	inspirRate: 20,
+	ampVar: 4,
+	minPeakBump: 1
+};
 
 // Look for the inspirations
-function findInspirations(dataArray, results) {
+function findInspirations(flowSignal, results, thresholds = DEFAULT_GI_THRESHOLDS) {
+	const flow = flowSignal.values;
+	const minInspirSamples = secondsToSamples(flowSignal, MIN_INSPIRATION_SEC);
+	const minShapeSamples = secondsToSamples(flowSignal, MIN_SHAPE_INSPIRATION_SEC);
 
 	results.inspirations = [];
 	let ignoreUntil = 0;
 
 	// look at each sample in turn	
-	for (let i = 0; i < dataArray.length - 1; i++) {
+	for (let i = 0; i < flow.length - 1; i++) {
 		if (i < ignoreUntil) {
 			// ignore until end of last determined inspiration
 			continue;
 		}
 
-		if (dataArray[i].y <= GREY_ZONE_UPPER) {
+		if (flow[i] <= GREY_ZONE_UPPER) {
 			//point is below mid line / grey zone. Ignore and move on 
-			dataArray[i].max = false;
 			continue;
 		}
 
-		if (i === 0 || i === dataArray.length - 1) {
+		if (i === 0 || i === flow.length - 1) {
 			// ignore first and last sample - to avoid explosion on next step			
-			dataArray[i].max = false;
 			continue;
 		}
 
-		if ((dataArray[i - 1].y > dataArray[i].y) || (dataArray[i].y < dataArray[i + 1].y)) {
+		if ((flow[i - 1] > flow[i]) || (flow[i] < flow[i + 1])) {
 			// Adjacent point is higher - not a max	
-			dataArray[i].max = false;
 			continue;
 		}
 
@@ -108,11 +210,11 @@ function findInspirations(dataArray, results) {
 		let inspirInstance = {};
 		// look backwards (from sample i) for the mid line & a higher max
 		for (let downPtr = i; downPtr > 0; downPtr--) {
-			if (dataArray[downPtr].y > dataArray[i].y) {
+			if (flow[downPtr] > flow[i]) {
 				// there is a higher point between "sample i" and the mid line (looking backwards) - prob already processed  
 				break;
 			}
-			if (dataArray[downPtr].y <= GREY_ZONE_UPPER) {
+			if (flow[downPtr] <= GREY_ZONE_UPPER) {
 				// have travelled from sample i to mid line (backwards) without hitting a higher max
 				inspirInstance.start = downPtr;
 				break;
@@ -124,12 +226,12 @@ function findInspirations(dataArray, results) {
 		}
 
 		// look forwards (from sample i) for the mid line & a higher max
-		for (let upPtr = i; upPtr < dataArray.length - 1; upPtr++) {
-			if (dataArray[upPtr].y > dataArray[i].y) {
+		for (let upPtr = i; upPtr < flow.length - 1; upPtr++) {
+			if (flow[upPtr] > flow[i]) {
 				// there is a higher point between "sample i" and the mid line (looking forwards) - soon to be processed...  
 				break;
 			}
-			if (dataArray[upPtr].y <= GREY_ZONE_UPPER) {
+			if (flow[upPtr] <= GREY_ZONE_UPPER) {
 				// have travelled from sample i to mid line (forward) without hitting a higher max
 				inspirInstance.end = upPtr;
 				break;
@@ -140,41 +242,39 @@ function findInspirations(dataArray, results) {
 			continue;
 		}
 
-		if (inspirInstance.end - inspirInstance.start < 8) {
-			// ignore inspirations of less than 8 samples (approx 0.4 secs)
+		if (inspirInstance.end - inspirInstance.start < minInspirSamples) {
+			// ignore inspirations of less than MIN_INSPIRATION_SEC
 			continue;
 		}
 
 		// store time text of inspiration and the max value 
-		inspirInstance.startTime = dataArray[inspirInstance.start].x;
-		inspirInstance.maxValue = dataArray[i].y;
+		inspirInstance.startTime = signalChartDate(flowSignal, inspirInstance.start);
+		inspirInstance.maxValue = flow[i];
 		inspirInstance.midPoint = inspirInstance.start + Math.round((inspirInstance.end - inspirInstance.start) / 2);
 
 		// set variables for the determination of the characteristics of this inspiration
 		let leftVol = 0.0;
 		let rightVol = 0.0;
-		top_t90 = 0;
+		let top_t90 = 0;
 
 		let threshold_90 = inspirInstance.maxValue * TOP_THRESHOLD_PRECENT_90;
 
-		inspirInstance.multiPeak = false;
 		let firstPeakFound = false;
-		let lookingForNextPeak = false;
 		let lastMax = 0;
-		let lowestPostFirstPeak = 0;
-		const MIN_PEAK_BUMP = 1;
+		let lowestPostFirstPeak = null;
+		let peakBump = 0;
 
 		for (let ptr = inspirInstance.start; ptr < inspirInstance.end; ptr++) {
 			// look at each sample between the start and end of the inspiration
 			if (ptr < inspirInstance.midPoint) {
 				// Add all the flow before the mid point together to determine skew  
-				leftVol = leftVol + dataArray[ptr].y;
+				leftVol = leftVol + flow[ptr];
 			} else if (ptr > inspirInstance.midPoint) {
 				// Add all the flow after the mid point together to determine skew  
-				rightVol = rightVol + dataArray[ptr].y;
+				rightVol = rightVol + flow[ptr];
 			}
 
-			if (dataArray[ptr].y > threshold_90) {
+			if (flow[ptr] > threshold_90) {
 				// How many samples were the value above 90% of the maximum (to determine "Top heavy")
 				top_t90++;
 			}
@@ -182,35 +282,32 @@ function findInspirations(dataArray, results) {
 			// look to see if this inspiration has multiple peaks
 			if (firstPeakFound === false) {
 				// keep looking for a max until one is found then flag "firstPeakFound" to move onto the next state
-				if (dataArray[ptr].y > lastMax) {
-					lastMax = dataArray[ptr].y;
-				} else if (dataArray[ptr].y < lastMax) {
+				if (flow[ptr] > lastMax) {
+					lastMax = flow[ptr];
+				} else if (flow[ptr] < lastMax) {
 					firstPeakFound = true
 				}
-			} else if (lookingForNextPeak === false &&
-				(lastMax - dataArray[ptr].y) > MIN_PEAK_BUMP) {
-				// So first peak found. Heading downward. Haven't hit a min yet. Keep track of value looking for a min.
-				lookingForNextPeak = true;
-				lowestPostFirstPeak = dataArray[ptr].y;
-			} if (lookingForNextPeak === true && inspirInstance.multiPeak === false) {
-				// first peak found, have hit a min and now on way back up. Look for another max above "MIN_PEAK_BUMP" 
-				if (dataArray[ptr].y < lowestPostFirstPeak) {
-					lowestPostFirstPeak = dataArray[ptr].y;
-				} else if (dataArray[ptr].y > (lowestPostFirstPeak + MIN_PEAK_BUMP)) {
-					// Have hit one peak, a min and now more than MIN_PEAK_BUMP on the way back up. There's another max coming.
-					// Flag and move on.
-					inspirInstance.multiPeak = true;
+			} else {
+				// So first peak found. A dip below the first peak then a rise back up, both bigger than the peak bump, is another peak.
+				// Keep the biggest such bump so the flag can be rescored against any peak bump threshold later.
+				if (lowestPostFirstPeak !== null) {
+					peakBump = Math.max(peakBump, Math.min(lastMax, flow[ptr]) - lowestPostFirstPeak);
+				}
+				if (lowestPostFirstPeak === null || flow[ptr] < lowestPostFirstPeak) {
+					lowestPostFirstPeak = flow[ptr];
 				}
 			}
 		}
+		inspirInstance.peakBump = peakBump;
+		inspirInstance.multiPeak = peakBump > thresholds.minPeakBump;
 		inspirInstance.leftVol = leftVol;
 		inspirInstance.rightVol = rightVol;
-		if (inspirInstance.end - inspirInstance.start > 12) {
-			// only record skew and top heavy for inspirations over 0.5 secs
+		if (inspirInstance.end - inspirInstance.start > minShapeSamples) {
+			// only record skew and top heavy for inspirations over MIN_SHAPE_INSPIRATION_SEC
 			inspirInstance.leftPercent = Math.round(10000 * leftVol / (leftVol + rightVol), 2) / 100;
 			inspirInstance.top90Percent = Math.round(10000 * top_t90 / (inspirInstance.end - inspirInstance.start)) / 100;
 		} else {
-			// set benign values for skew and top heavy for inspirations under 0.5 secs			
+			// set benign values for skew and top heavy for the shorter inspirations			
 			inspirInstance.leftPercent = 50;
 			inspirInstance.top90Percent = 32;
 		}
@@ -221,7 +318,7 @@ function findInspirations(dataArray, results) {
 
 		let midSum = 0;
 		for (let ptr = varStart; ptr < varEnd; ptr++) {
-			midSum += dataArray[ptr].y;
+			midSum += flow[ptr];
 		}
 
 		// calc mean flow value over middle 50% of inspiration 
@@ -229,7 +326,7 @@ function findInspirations(dataArray, results) {
 		let midVar = 0;
 		// use mean to calculate variance of flow over middle 50% of inspiration  
 		for (let ptr = varStart; ptr < varEnd; ptr++) {
-			midVar += Math.pow((midMean - dataArray[ptr].y), 2);
+			midVar += Math.pow((midMean - flow[ptr]), 2);
 		}
 		//Hold mid inspiration variance to two decimal places
 		inspirInstance.midVar = Math.round(100 * midVar / (0.5 * (inspirInstance.end - inspirInstance.start))) / 100;;
@@ -240,15 +337,17 @@ function findInspirations(dataArray, results) {
 
 }
 
-function calcCycleBasedIndicators(dataArray, results) {
+// isMin - the flags from findMins
+function calcCycleBasedIndicators(flowSignal, results, isMin) {
+	const flow = flowSignal.values;
 	let nextInspirIndex = 0;
 	// Extrapolate 1 second into the future
-	const extrapolationSamples = Math.round(1000 / getMillisPerSample(dataArray));
+	const extrapolationSamples = secondsToSamples(flowSignal, 1);
 
 	//Find the sample index IDs of minimums (peak expiration) 
 	let minsAtIndex = [];
-	for (let i = 0; i < dataArray.length - 1; i++) {
-		if (dataArray[i].min === true) {
+	for (let i = 0; i < flow.length - 1; i++) {
+		if (isMin[i] === 1) {
 			minsAtIndex.push(i);
 		}
 	}
@@ -282,23 +381,24 @@ function calcCycleBasedIndicators(dataArray, results) {
 				results.inspirations[nextInspirIndex].noExhale = false;
 				results.inspirations[nextInspirIndex].linkedMinAt = indexOfMin;
 
-				let minValue = dataArray[indexOfMin].y;
+				let minValue = flow[indexOfMin];
 				if (minValue < 0) {
 					// We expect expiration flow to continue downward. Wait for 1 second. 
-					let minValuePlusOneSec = dataArray[indexOfMin + extrapolationSamples].y;
+					let minValuePlusOneSec = flow[indexOfMin + extrapolationSamples];
 					if (minValuePlusOneSec < minValue) {
 						// Expiration is proceeding normally (not complete 1s after peak). Extrapolate where it would intersect with X-axis to determine
 						// the generated "pre inspiration rest" / pause length.
 						let intersection = indexOfMin + Math.round(extrapolationSamples * minValue / (minValue - minValuePlusOneSec));
 						results.inspirations[nextInspirIndex].intersection = intersection;
-						results.inspirations[nextInspirIndex].preRest = results.inspirations[nextInspirIndex].start - intersection;
+						results.inspirations[nextInspirIndex].preRestSec =
+							(results.inspirations[nextInspirIndex].start - intersection) * getMillisPerSample(flowSignal) / 1000;
 					} else {
-						// inspiration started less than 1s after min. Set default preRest indicating problem (that's too fast for normal breathing).
-						results.inspirations[nextInspirIndex].preRest = -10;
+						// inspiration started less than 1s after min. Set default preRestSec indicating problem (that's too fast for normal breathing).
+						results.inspirations[nextInspirIndex].preRestSec = NO_PAUSE_PRE_REST_SEC;
 					}
 				} else {
-					// inspiration started less than 1s after min. Set default preRest indicating problem (that's too fast for normal breathing).
-					results.inspirations[nextInspirIndex].preRest = -10;
+					// inspiration started less than 1s after min. Set default preRestSec indicating problem (that's too fast for normal breathing).
+					results.inspirations[nextInspirIndex].preRestSec = NO_PAUSE_PRE_REST_SEC;
 				}
 				nextInspirIndex++;
 				break;
@@ -310,9 +410,9 @@ function calcCycleBasedIndicators(dataArray, results) {
 	}
 }
 
-// prepare an idealised inspiration flow for presentation - not used in calcs
-function prepIdealFlow(dataArray, results) {
-	results.idealArray = [];
+// prepare an idealised inspiration flow for presentation - not used in calcs. One value per flow sample.
+function prepIdealFlow(flowSignal, results) {
+	results.idealValues = new Float32Array(flowSignal.values.length);
 	if (!results.inspirations || results.inspirations.length === 0) return;
 	let nextInspirCntr = 0;
 
@@ -322,19 +422,14 @@ function prepIdealFlow(dataArray, results) {
 	let coefA = nextInspir.end - nextInspir.start;
 	let coefB = (4 * nextInspir.maxValue) / (coefA * coefA);
 
-	for (let i = 0; i < dataArray.length - 1; i++) {
+	for (let i = 0; i < flowSignal.values.length - 1; i++) {
 		// look at each data sample in turn
 
-		if ((nextInspir === null) || (i < nextInspir.start)) {
-			// set output to 0 outside inspiration
-			results.idealArray.push({ x: dataArray[i].x, y: 0 });
-		} else if (i == nextInspir.start) {
-			// set output to 0 at start of inspiration
-			results.idealArray.push({ x: dataArray[i].x, y: 0 });
+		if ((nextInspir === null) || (i <= nextInspir.start)) {
+			// output stays 0 outside inspiration and at its start
+			continue;
 		} else if (i == nextInspir.end) {
-			// set output to 0 at end of inspiration
-			results.idealArray.push({ x: dataArray[i].x, y: 0 });
-
+			// output stays 0 at end of inspiration
 			if (nextInspirCntr < (results.inspirations.length - 1)) {
 				// more inpirations to look at
 				nextInspirCntr++;
@@ -348,9 +443,9 @@ function prepIdealFlow(dataArray, results) {
 			}
 		} else {
 			// set output in between start & end of inspiration based on quadratic formula
-			xValue = i - nextInspir.start;
-			yValue = coefB * xValue * (coefA - xValue);
-			results.idealArray.push({ x: dataArray[i].x, y: yValue });
+			let xValue = i - nextInspir.start;
+			let yValue = coefB * xValue * (coefA - xValue);
+			results.idealValues[i] = yValue;
 		}
 	}
 }
@@ -358,7 +453,7 @@ function prepIdealFlow(dataArray, results) {
 const AMP_WINDOW_LEN = 5;
 
 // calculate the variance of the inspiration amplitude - Are the breaths getting stronger and weaker? 
-function inspirationAmplitude(dataArray, results) {
+function inspirationAmplitude(flowSignal, results) {
 
 	for (let i = AMP_WINDOW_LEN; i < results.inspirations.length - 1; i++) {
 		// look at each inspiration (from number "AMP_WINDOW_LEN" onward) 
@@ -382,12 +477,13 @@ function inspirationAmplitude(dataArray, results) {
 		// used the time differnce between this inspiration and the inspiration 'AMP_WINDOW_LEN' ago to determine how many
 		// inspirations per minute
 		let samplesForAveBreaths = results.inspirations[i].start - results.inspirations[i - AMP_WINDOW_LEN].start;
-		results.inspirations[i].inspirPerMin = Math.round((AMP_WINDOW_LEN * 60 * 1000) / (samplesForAveBreaths * getMillisPerSample(dataArray)));
+		results.inspirations[i].inspirPerMin = Math.round((AMP_WINDOW_LEN * 60 * 1000) / (samplesForAveBreaths * getMillisPerSample(flowSignal)));
 	}
 }
 
-// prepare the indices based on the calculated data 
-function prepIndices(results) {
+// prepare the indices based on the calculated data. Only uses the stored features of each inspiration,
+// so it can be run again with other thresholds without going back to the flow data.
+function prepIndices(results, thresholds = DEFAULT_GI_THRESHOLDS) {
 	// prepare the cumulative indices
 	let cumIndex = {};
 	cumIndex.skew = 0;
@@ -405,7 +501,7 @@ function prepIndices(results) {
 		nextInspir.indices = {};
 		nextInspir.indices.overall = 0;
 
-		if ((nextInspir.leftPercent < 45) || (nextInspir.leftPercent > 55)) {
+		if ((nextInspir.leftPercent < thresholds.skewLower) || (nextInspir.leftPercent > thresholds.skewUpper)) {
 			// Inspirations with over 55% of the flow volume to the left or right of the mid line are defined as "skewed". 
 			nextInspir.indices.skew = true;
 			cumIndex.skew++;
@@ -413,7 +509,7 @@ function prepIndices(results) {
 		} else {
 			nextInspir.indices.skew = false;
 		}
-		if ((nextInspir.top90Percent > 40)) {
+		if ((nextInspir.top90Percent > thresholds.topHeavy)) {
 			// Where the inspiration spends more than 40% of its time with a value over 90% of the max, it is flagged as "top heavy". 
 			// Parabola would be 31.6%, sine wave would be 28.7% of the time.
 			nextInspir.indices.topHeavy = true;
@@ -422,7 +518,7 @@ function prepIndices(results) {
 		} else {
 			nextInspir.indices.topHeavy = false;
 		}
-		if ((nextInspir.midVar < 0.75)) {
+		if ((nextInspir.midVar < thresholds.flatTop)) {
 			// Where the flow rate variance over the mid 50% of the inspiration is low, it is a "flat top".
 			nextInspir.indices.flatTop = true;
 			cumIndex.flatTop++;
@@ -431,7 +527,7 @@ function prepIndices(results) {
 			nextInspir.indices.flatTop = false;
 		}
 
-		if ((nextInspir.top90Percent < 20)) {
+		if ((nextInspir.top90Percent < thresholds.spike)) {
 			// Where the inspiration spends less than 20% of its time with a value over 90% of the max, it is flagged as a "spike". 
 			// Parabola would be 31.6%, sine wave would be 28.7% of the time.
 			nextInspir.indices.spike = true;
@@ -440,6 +536,10 @@ function prepIndices(results) {
 		} else {
 			nextInspir.indices.spike = false;
 		}
+		if (nextInspir.peakBump !== undefined) {
+			// rescore against the current peak bump (inspirations found before peakBump was stored keep their flag)
+			nextInspir.multiPeak = nextInspir.peakBump > thresholds.minPeakBump;
+		}
 		if (nextInspir.multiPeak === true) {
 			// If multiple peaks were found on the inspiration (ignoring small bumps), flagged as multipeak.  
 			nextInspir.indices.multiPeak = true;
@@ -448,16 +548,16 @@ function prepIndices(results) {
 		} else {
 			nextInspir.indices.multiPeak = false;
 		}
-		if (nextInspir.preRest < 10) {
-			//When using the expir. extrapolation above, where the expiration intersects with the x-axis less than 10 samples (0.4 seconds)
-			//before an inspiration it is flagged as no Pause. Pause normally around 30 samples (1+ secs).
+		if (nextInspir.preRestSec < thresholds.noPause) {
+			//When using the expir. extrapolation above, where the expiration intersects with the x-axis less than 0.4 seconds
+			//before an inspiration it is flagged as no Pause. Pause normally 1+ secs.
 			nextInspir.indices.noPause = true;
 			cumIndex.noPause++;
 			nextInspir.indices.overall++;
 		} else {
 			nextInspir.indices.noPause = false;
 		}
-		if (nextInspir.inspirPerMin > 20) {
+		if (nextInspir.inspirPerMin > thresholds.inspirRate) {
 			// Inspiration rate is the number of "inspirations" humps recorded in the flow rate graph per minute. Normal range is 12 to 20.
 			nextInspir.indices.inspirRate = true;
 			cumIndex.inspirRate++;
@@ -474,7 +574,7 @@ function prepIndices(results) {
 		} else {
 			nextInspir.indices.multiBreath = false;
 		}
-		if (nextInspir.ampVar > 4) {
+		if (nextInspir.ampVar > thresholds.ampVar) {
 			// Where the max inspiration amplitude variance is more than 4 the breathing is flagged as unsettled. 			
 			nextInspir.indices.ampVar = true;
 			cumIndex.ampVar++;
@@ -514,27 +614,61 @@ function prepIndices(results) {
 	return cumIndex;
 }
 
+// The test behind each of an inspiration's flags, as prepIndices applies it - for the breath inspector.
+// Returns [{ index, label, measure, value, test, flagged }], in the order of the heat map rows.
+function describeIndices(inspiration, thresholds = DEFAULT_GI_THRESHOLDS) {
+	let indices = inspiration.indices || {};
+	let multiPeakTest = (inspiration.peakBump !== undefined) ? "> " + thresholds.minPeakBump : "a second peak";
+	return [
+		{ index: "skew", label: "Skew", measure: "Flow left of mid point (%)", value: inspiration.leftPercent,
+			test: "< " + thresholds.skewLower + " or > " + thresholds.skewUpper },
+		{ index: "spike", label: "Spike", measure: "Time over 90% of max (%)", value: inspiration.top90Percent,
+			test: "< " + thresholds.spike },
+		{ index: "flatTop", label: "Flat Top", measure: "Mid inspiration variance", value: inspiration.midVar,
+			test: "< " + thresholds.flatTop },
+		{ index: "topHeavy", label: "Top Heavy", measure: "Time over 90% of max (%)", value: inspiration.top90Percent,
+			test: "> " + thresholds.topHeavy },
+		{ index: "multiPeak", label: "Double Peak", measure: "Dip & rise after first peak (L/min)",
+			value: (inspiration.peakBump !== undefined) ? inspiration.peakBump : inspiration.multiPeak, test: multiPeakTest },
+		{ index: "noPause", label: "No Pause", measure: "Pause before it (s)", value: inspiration.preRestSec,
+			test: "< " + thresholds.noPause },
+		{ index: "inspirRate", label: "Inspir Rate", measure: "Inspirations per minute", value: inspiration.inspirPerMin,
+			test: "> " + thresholds.inspirRate },
+		{ index: "multiBreath", label: "Double Insp", measure: "No expiration before it", value: inspiration.noExhale,
+			test: "true" },
+		{ index: "ampVar", label: "Variable Amp", measure: "Amplitude variance (last " + AMP_WINDOW_LEN + ")", value: inspiration.ampVar,
+			test: "> " + thresholds.ampVar }
+	].map(check => Object.assign(check, { flagged: indices[check.index] === true }));
+}
+
 // Balance the inspiration and expiration flow. Flag where the two are not balanced with black lines in the overall flow.
-// Would be an indication of aerophagia. 
-function flowBalance() {
+// Would be an indication of aerophagia (or a leak that comes and goes).
+// flowValues are the flow samples (L/min) the inspirations were found in, millisPerSample their spacing.
+// Returns the flagged breaths as [{ start, inspirPtr, netPercent }].
+function flowBalance(flowValues, inspirations, millisPerSample = 40) {
+	// shortest zone worth checking - 100 samples at the 25Hz ResMed rate
+	const minZoneSamples = Math.round(FLOW_BALANCE_MIN_ZONE_MS / millisPerSample);
 	let flowZones = []; //
-	for (let i = 0; i < results.inspirations.length - 2; i++) {
+	for (let i = 0; i < inspirations.length - 2; i++) {
 		// look at each expiration in turn. Form a "zone" (one inspiration start to the next)
 		let nextZone = { upper: 0, lower: 0 };
-		nextZone.start = results.inspirations[i].start;
-		nextZone.end = results.inspirations[i + 1].start - 1;
-		if ((nextZone.end - nextZone.start) < 100) {
-			// ignore breaths / zones less than 2.5 seconds long. 
+		nextZone.start = inspirations[i].start;
+		nextZone.end = inspirations[i + 1].start - 1;
+		if ((nextZone.end - nextZone.start) < minZoneSamples) {
+			// ignore breaths / zones that are too short to balance
 			continue;
 		}
-		for (let j = nextZone.start; j < nextZone.end; j++) {
+		for (let j = nextZone.start; j < nextZone.end && j < flowValues.length; j++) {
 			// add up the inspiration and expiration flow volumes 			
-			if (dataArray[j].y > 0) {
-				nextZone.upper += dataArray[j].y;
+			if (flowValues[j] > 0) {
+				nextZone.upper += flowValues[j];
 			} else {
-				nextZone.lower -= dataArray[j].y;
+				nextZone.lower -= flowValues[j];
 			}
 		}
+		if (nextZone.upper + nextZone.lower === 0) {
+			continue;
+		}
 		//determine the net flow volume 
 		nextZone.net = nextZone.upper - nextZone.lower;
 		nextZone.netPercent = Math.round(10000 * nextZone.net / (nextZone.upper + nextZone.lower)) / 100;
@@ -542,7 +676,7 @@ function flowBalance() {
 		flowZones.push(nextZone);
 	}
 
-	results.flowImbalance = [];
+	let flowImbalance = [];
 	// look at each zone (breath) ignoring those where the net volume difference is below some generous error level 
 	for (let i = 1; i < flowZones.length - 2; i++) {
 		// phase 1 - check if this zone has balanced flow
@@ -558,8 +692,9 @@ function flowBalance() {
 			continue;
 		}
 		// only the zones with imbalanced flow when considering the neighbouring breaths will be flagged for display. 
-		results.flowImbalance.push({ start: flowZones[i].start, inspirPtr: flowZones[i].inspirPtr });
+		flowImbalance.push({ start: flowZones[i].start, inspirPtr: flowZones[i].inspirPtr, netPercent: flowZones[i].netPercent });
 	}
+	return flowImbalance;
 }
 
 // Helper to format time with AM/PM for heatmap display
@@ -572,220 +707,333 @@ function formatTimeWithAMPM(date) {
 	return hours + ':' + minutes + ' ' + ampm;
 }
 
+// The night heat map. It runs left to right in wall-clock time: each pixel column holds the inspirations
+// that started in it, its cells coloured by the share of them with each flag (the overall row by their
+// mean flag count). A breath is drawn up to the start of the next one, so a stretch without inspirations -
+// between sessions, or a long pause - is left grey. The mouse wheel zooms in on the time under the cursor,
+// down to HEATMAP_MIN_SPAN_SEC where each breath is a cell of its own, dragging pans and a double click
+// shows the whole night again. The canvas is drawn at the screen's pixel ratio and again on resize.
+const HEATMAP_LEFT_PX = 150;
+const HEATMAP_MIN_SPAN_SEC = 60;
+const HEATMAP_ZOOM_STEP = 1.25;
+// no inspiration for longer than this is a gap
+const HEATMAP_MAX_BREATH_SEC = 20;
+const HEATMAP_GAP_COLOUR = "#e6e6e6";
+// a click waits this long before opening the detail chart, so the clicks of a double click don't open it
+const HEATMAP_CLICK_DELAY_MS = 300;
+// the label spacing of the time axis - the shortest step that leaves room for the labels is used
+const HEATMAP_TICK_MINUTES = [1, 2, 5, 10, 15, 30, 60, 120, 180];
+const HEATMAP_ROWS = [
+	{ index: "skew", label: "Skew", top: 40 },
+	{ index: "spike", label: "Spike", top: 70 },
+	{ index: "flatTop", label: "Flat Top", top: 100 },
+	{ index: "topHeavy", label: "Top Heavy", top: 130 },
+	{ index: "multiPeak", label: "Double Peak", top: 160 },
+	{ index: "noPause", label: "No Pause", top: 190 },
+	{ index: "inspirRate", label: "Inspir Rate", top: 220 },
+	{ index: "multiBreath", label: "Double Insp", top: 250 },
+	{ index: "ampVar", label: "Variable Amp", top: 280 }
+];
+const HEATMAP_OVERALL_TOP = 320;
+
+// The heat map on show: the results, the wall-clock time each inspiration starts (breathMs) and is drawn
+// up to (coverMs), the night's time range and the part of it in view, and the cells last drawn.
+let heatmapState = null;
+
 // Display the heat map on the web page
 function displayHeatMap(results) {
 	chartTop = document.getElementById("chartTop");
-	chartTop.width = window.innerWidth;
+	let flowSignal = window.flowSignal;
+	let inspirations = results.inspirations;
+
+	let breathMs = new Float64Array(inspirations.length);
+	let coverMs = new Float64Array(inspirations.length);
+	for (let i = 0; i < inspirations.length; i++) {
+		breathMs[i] = signalTimeMs(flowSignal, inspirations[i].start);
+	}
+	for (let i = 0; i < inspirations.length; i++) {
+		let nextMs = (i + 1 < inspirations.length) ? breathMs[i + 1] : signalTimeMs(flowSignal, inspirations[i].end);
+		coverMs[i] = Math.min(nextMs, breathMs[i] + HEATMAP_MAX_BREATH_SEC * 1000);
+	}
+	let fromMs = signalTimeMs(flowSignal, 0);
+	let toMs = Math.max(signalTimeMs(flowSignal, Math.max(flowSignal.values.length - 1, 0)), fromMs + HEATMAP_MIN_SPAN_SEC * 1000);
+
+	if (heatmapState) clearTimeout(heatmapState.clickTimer);
+	heatmapState = {
+		results: results,
+		breathMs: breathMs,
+		coverMs: coverMs,
+		fromMs: fromMs,
+		toMs: toMs,
+		viewFromMs: fromMs,
+		viewToMs: toMs,
+		cells: [],
+		cellAtPx: new Int32Array(0),
+		eventMarks: [],
+		spo2Cells: [],
+		csrBands: [],
+		drag: null,
+		dragged: false,
+		clickTimer: null
+	};
+
+	if (typeof chartDetail !== 'undefined' && chartDetail != null) {
+		//when displaying the top canvas, clear the lower graph area (and scroll buttons)
+		clearDetailGraph();
+	}
+
+	drawHeatMap();
+
+	// Create or get tooltip element
+	let tooltip = document.getElementById('heatmapTooltip');
+	if (!tooltip) {
+		tooltip = document.createElement('div');
+		tooltip.id = 'heatmapTooltip';
+		tooltip.style.cssText = 'position: fixed; background: rgba(0,0,0,0.85); color: white; padding: 8px 12px; border-radius: 6px; font-size: 13px; pointer-events: none; z-index: 1000; display: none; box-shadow: 0 2px 8px rgba(0,0,0,0.3); white-space: nowrap;';
+		document.body.appendChild(tooltip);
+	}
 
-	chartTop.height = 380;
+	// Remove any existing listeners to avoid duplicates - they all work from heatmapState
+	chartTop.removeEventListener('mousemove', heatmapMouseMoveHandler);
+	chartTop.removeEventListener('mouseleave', heatmapMouseLeaveHandler);
+	chartTop.removeEventListener('click', heatmapClickHandler);
+	chartTop.removeEventListener('dblclick', heatmapDoubleClickHandler);
+	chartTop.removeEventListener('wheel', heatmapWheelHandler);
+	chartTop.removeEventListener('mousedown', heatmapMouseDownHandler);
+	window.removeEventListener('resize', heatmapResizeHandler);
+
+	chartTop.addEventListener('mousemove', heatmapMouseMoveHandler, false);
+	chartTop.addEventListener('mouseleave', heatmapMouseLeaveHandler, false);
+	chartTop.addEventListener('click', heatmapClickHandler, false);
+	chartTop.addEventListener('dblclick', heatmapDoubleClickHandler, false);
+	chartTop.addEventListener('wheel', heatmapWheelHandler, { passive: false });
+	chartTop.addEventListener('mousedown', heatmapMouseDownHandler, false);
+	window.addEventListener('resize', heatmapResizeHandler, false);
+}
+
+// Draw the heat map of heatmapState for the part of the night in view
+function drawHeatMap() {
+	let state = heatmapState;
+	let results = state.results;
+	let inspirations = results.inspirations;
+
+	// leave room for the SpO2 track below the events when oximetry data is available
+	let hasSpO2 = results.spo2 && results.spo2.length > 0;
+	let cssWidth = (chartTop.parentElement && chartTop.parentElement.clientWidth) || window.innerWidth;
+	let cssHeight = hasSpO2 ? 440 : 380;
+	// the canvas holds a pixel per screen pixel, so the cells and text stay crisp on high-DPI screens
+	let pixelRatio = window.devicePixelRatio || 1;
+	chartTop.width = Math.round(cssWidth * pixelRatio);
+	chartTop.height = Math.round(cssHeight * pixelRatio);
+	chartTop.style.width = cssWidth + "px";
+	chartTop.style.height = cssHeight + "px";
 	var ctx = chartTop.getContext("2d");
+	ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
 
 	// output texts on the canvas - date and start/end time range
+	let nightStart = new Date(state.fromMs);
 	ctx.font = "bold 14px sans-serif";
-	const dateStr = startDateTime.getDate() + " " +
-		startDateTime.toLocaleString('default', { month: 'short' }) + " " +
-		startDateTime.getFullYear();
-
-	// Calculate end time from sample count
-	let sampleCnt = results.inspirations.length > 0 ? results.inspirations[results.inspirations.length - 1].end : 0;
-	let endDateTime = new Date(startDateTime.getTime() + sampleCnt * getMillisPerSample(window.dataArray));
-	const startTimeStr = formatTimeWithAMPM(startDateTime);
-	const endTimeStr = formatTimeWithAMPM(endDateTime);
-
-	// Calculate duration in hours and minutes
-	const durationMs = endDateTime.getTime() - startDateTime.getTime();
+	ctx.fillStyle = BLACK_COLOUR;
+	const dateStr = nightStart.getDate() + " " +
+		nightStart.toLocaleString('default', { month: 'short' }) + " " +
+		nightStart.getFullYear();
+
+	// Duration from the samples recorded (the gaps between sessions aren't counted)
+	let sampleCnt = inspirations.length > 0 ? inspirations[inspirations.length - 1].end : 0;
+	const durationMs = sampleCnt * getMillisPerSample(window.flowSignal);
 	const durationHours = Math.floor(durationMs / (1000 * 60 * 60));
 	const durationMins = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
 	const durationStr = durationHours + 'h ' + durationMins + 'm';
 
-	ctx.fillText(dateStr + "  (" + startTimeStr + " - " + endTimeStr + ")  Duration: " + durationStr, 10, 20);
+	let title = dateStr + "  (" + formatTimeWithAMPM(nightStart) + " - " + formatTimeWithAMPM(new Date(state.toMs)) + ")  Duration: " + durationStr;
+	let zoomed = (state.viewFromMs > state.fromMs || state.viewToMs < state.toMs);
+	if (zoomed) {
+		title += "  Showing " + formatTimeWithAMPM(new Date(state.viewFromMs)) + " - " + formatTimeWithAMPM(new Date(state.viewToMs));
+	}
+	ctx.fillText(title, 10, 20);
+	ctx.font = "12px sans-serif";
+	ctx.fillStyle = "#666666";
+	let hint = zoomed ? "Drag to pan, double-click for the whole night" : "Scroll to zoom in";
+	ctx.fillText(hint, cssWidth - 10 - ctx.measureText(hint).width, 20);
 
 	ctx.font = "14px sans-serif";
-	ctx.fillText("Skew (" + results.cumIndex.skew + ")", 10, 60);
-	ctx.fillText("Spike (" + results.cumIndex.spike + ")", 10, 90);
-	ctx.fillText("Flat Top (" + results.cumIndex.flatTop + ")", 10, 120);
-	ctx.fillText("Top Heavy (" + results.cumIndex.topHeavy + ")", 10, 150);
-	ctx.fillText("Double Peak (" + results.cumIndex.multiPeak + ")", 10, 180);
-	ctx.fillText("No Pause (" + results.cumIndex.noPause + ")", 10, 210);
-	ctx.fillText("Inspir Rate (" + results.cumIndex.inspirRate + ")", 10, 240);
-	ctx.fillText("Double Insp (" + results.cumIndex.multiBreath + ")", 10, 270);
-	ctx.fillText("Variable Amp (" + results.cumIndex.ampVar + ")", 10, 300);
+	ctx.fillStyle = BLACK_COLOUR;
+	for (const row of HEATMAP_ROWS) {
+		ctx.fillText(row.label + " (" + results.cumIndex[row.index] + ")", 10, row.top + 20);
+	}
 	ctx.font = "bold 14px sans-serif";
 	ctx.fillText("Overall (" + results.cumIndex.overall + ")", 10, 340);
 
-	// prepare the geometry of the heat map area.
-	let left = 150;  // start of the heat map area
-	let rightEdge = chartTop.width - 10; // right limit of the heat map area that can be used
-	let dataLen = results.inspirations.length; // one many inspirations need to be summarized
-
-	let perCell = Math.ceil(dataLen / (rightEdge - left));  // number of inspiration per "cell" / pixel
-	let noCells = Math.round(dataLen / perCell); // number of "cells" / pixels
-	let right = left + noCells;  // actual right limit that will be used
-
-	// output the hours at the top of the canvas (below the title).
-	outputHoursText(ctx, startDateTime, sampleCnt, 35, left, right);
+	// prepare the geometry of the heat map area - the time in view across it
+	let left = HEATMAP_LEFT_PX;
+	let right = Math.max(cssWidth - 10, left + 1);
+	let width = right - left;
+	let msPerPx = (state.viewToMs - state.viewFromMs) / width;
+	let toPx = ms => left + (ms - state.viewFromMs) / msPerPx;
+	state.left = left;
+	state.right = right;
+	state.msPerPx = msPerPx;
+
+	// output the times along the top of the canvas (below the title).
+	ctx.font = "14px sans-serif";
+	outputTimeAxis(ctx, state.viewFromMs, state.viewToMs, left, right, 35);
 
-	let ptr = perCell;
-	let nextCell = { skew: 0, flatTop: 0, topHeavy: 0, spike: 0, multiPeak: 0, noPause: 0, inspirRate: 0, multiBreath: 0, ampVar: 0, overall: 0 };
-	let cellCnt = 0;
-	for (let i = 0; i < results.inspirations.length; i++) {
-		// add each inspiration's data to the cell
-		if (results.inspirations[i].indices.skew === true) {
-			nextCell.skew++;
-		}
-		if (results.inspirations[i].indices.flatTop === true) {
-			nextCell.flatTop++;
-		}
-		if (results.inspirations[i].indices.topHeavy === true) {
-			nextCell.topHeavy++;
-		}
-		if (results.inspirations[i].indices.spike === true) {
-			nextCell.spike++;
-		}
-		if (results.inspirations[i].indices.multiPeak === true) {
-			nextCell.multiPeak++;
-		}
-		if (results.inspirations[i].indices.noPause === true) {
-			nextCell.noPause++;
-		}
-		if (results.inspirations[i].indices.inspirRate === true) {
-			nextCell.inspirRate++;
-		}
-		if (results.inspirations[i].indices.multiBreath === true) {
-			nextCell.multiBreath++;
-		}
-		if (results.inspirations[i].indices.ampVar === true) {
-			nextCell.ampVar++;
+	// grey where there are no inspirations; the cells are drawn over it
+	ctx.fillStyle = HEATMAP_GAP_COLOUR;
+	for (const row of HEATMAP_ROWS) {
+		ctx.fillRect(left, row.top, width, 25);
+	}
+	ctx.fillRect(left, HEATMAP_OVERALL_TOP, width, 30);
+
+	// gather the inspirations in view into cells, one per pixel column they start in
+	let cells = [];
+	let first = firstCoveringBreath(state.coverMs, state.viewFromMs);
+	for (let i = first; i < inspirations.length && state.breathMs[i] < state.viewToMs; i++) {
+		let col = Math.max(0, Math.min(width - 1, Math.floor(toPx(Math.max(state.breathMs[i], state.viewFromMs)) - left)));
+		let cell = cells[cells.length - 1];
+		if (!cell || cell.col !== col) {
+			cell = { col: col, count: 0, firstBreath: i, lastBreath: i, coverMs: 0,
+				skew: 0, spike: 0, flatTop: 0, topHeavy: 0, multiPeak: 0, noPause: 0, inspirRate: 0, multiBreath: 0, ampVar: 0, overall: 0 };
+			cells.push(cell);
 		}
-		if (results.inspirations[i].indices.overall > 0) {
-			nextCell.overall += results.inspirations[i].indices.overall;
+		let indices = inspirations[i].indices || {};
+		for (const row of HEATMAP_ROWS) {
+			if (indices[row.index] === true) {
+				cell[row.index]++;
+			}
 		}
-		ptr--;
-
-		if (ptr === 0) {
-			// once the cell data is complete, generate the averages
-			nextCell.skew = nextCell.skew / perCell;
-			nextCell.flatTop = nextCell.flatTop / perCell;
-			nextCell.topHeavy = nextCell.topHeavy / perCell;
-			nextCell.spike = nextCell.spike / perCell;
-			nextCell.multiPeak = nextCell.multiPeak / perCell;
-			nextCell.noPause = nextCell.noPause / perCell;
-			nextCell.inspirRate = nextCell.inspirRate / perCell;
-			nextCell.multiBreath = nextCell.multiBreath / perCell;
-			nextCell.ampVar = nextCell.ampVar / perCell;
-			nextCell.overall = nextCell.overall / perCell;
-
-			// display the cell's data on the canvas
-			outputIndicesLine(ctx, nextCell, left + cellCnt);
-			cellCnt++;
+		cell.overall += indices.overall || 0;
+		cell.count++;
+		cell.lastBreath = i;
+		cell.coverMs = Math.max(cell.coverMs, state.coverMs[i]);
+	}
 
-			// reset the cell data and move onto the next cell
-			nextCell = { skew: 0, flatTop: 0, topHeavy: 0, spike: 0, multiPeak: 0, noPause: 0, inspirRate: 0, multiBreath: 0, ampVar: 0, overall: 0 };
-			ptr = perCell;
+	// draw each cell from its column up to the next cell, or as far as its breaths last
+	let cellAtPx = new Int32Array(width).fill(-1);
+	for (let k = 0; k < cells.length; k++) {
+		let cell = cells[k];
+		for (const row of HEATMAP_ROWS) {
+			cell[row.index] = cell[row.index] / cell.count;
 		}
+		cell.overall = cell.overall / cell.count;
+		let endCol = (k + 1 < cells.length) ? cells[k + 1].col : width;
+		endCol = Math.max(cell.col + 1, Math.min(endCol, Math.ceil(toPx(cell.coverMs) - left)));
+		cellAtPx.fill(k, cell.col, endCol);
+		outputCell(ctx, cell, left + cell.col, endCol - cell.col);
+	}
+	state.cells = cells;
+	state.cellAtPx = cellAtPx;
+
+	// shade the periods the machine flagged as Cheyne-Stokes respiration
+	state.csrBands = [];
+	if (results.csr && results.csr.length > 0) {
+		state.csrBands = outputCSRBands(ctx, results, toPx, left, right, 40, 350);
 	}
 
 	// output the flow balance anomalys
-	outputFlowAnomaly(ctx, left, perCell, 320);
+	if (results.flowImbalance && results.flowImbalance.length > 0) {
+		outputFlowAnomaly(ctx, results, toPx, left, right, 320);
+	}
 
-	var elemLeft = chartTop.offsetLeft + chartTop.clientLeft;
-	var elemTop = chartTop.offsetTop + chartTop.clientTop;
+	// output the events scored by the machine itself (if any were loaded)
+	state.eventMarks = [];
+	if (results.events && results.events.length > 0) {
+		ctx.font = "14px sans-serif";
+		ctx.fillStyle = BLACK_COLOUR;
+		ctx.fillText("Events (" + results.events.length + ")", 10, 372);
+		state.eventMarks = outputMachineEvents(ctx, results, toPx, left, right, 356);
+	}
 
-	if (typeof chartDetail !== 'undefined' && chartDetail != null) {
-		//when displaying the top canvas, clear the lower graph area (and scroll buttons)
-		clearDetailGraph();
+	// output the SpO2 track (lowest SpO2 per pixel column)
+	state.spo2Cells = [];
+	if (hasSpO2) {
+		state.spo2Cells = outputSpO2Track(ctx, results, toPx, left, right, 390);
+		let minSpO2 = results.spo2.reduce((min, point) => Math.min(min, point.value), 100);
+		ctx.font = "14px sans-serif";
+		ctx.fillStyle = BLACK_COLOUR;
+		ctx.fillText("SpO2 (min " + minSpO2 + "%)", 10, 420);
 	}
+}
 
-	//Add event listener for `click` events.
-	chartTop.addEventListener('click', function (event) {
-		var x = event.pageX - elemLeft;  //      y = event.pageY - elemTop;
-		if (x < left || x > right) {
-			// only process clicks within the coloured "cell" area
-			return;
+// the first inspiration still drawn at timeMs (coverMs only ever rises - binary search)
+function firstCoveringBreath(coverMs, timeMs) {
+	let lo = 0;
+	let hi = coverMs.length;
+	while (lo < hi) {
+		let mid = (lo + hi) >> 1;
+		if (coverMs[mid] <= timeMs) {
+			lo = mid + 1;
+		} else {
+			hi = mid;
 		}
-
-		// determine how far left/right was clicked and display the flow graph of the appropraite time
-		var instanceIndex = Math.trunc(((x - left) / noCells) * results.inspirations.length);
-		showDetailOneMinute(dataArray, results, results.inspirations[instanceIndex].start);
-	}, false);
-
-	// Store heatmap geometry for tooltip calculations
-	window.heatmapGeometry = {
-		left: left,
-		right: right,
-		noCells: noCells,
-		sampleCnt: sampleCnt,
-		startDateTime: startDateTime,
-		inspirations: results.inspirations,
-		perCell: perCell
-	};
-
-	// Create or get tooltip element
-	let tooltip = document.getElementById('heatmapTooltip');
-	if (!tooltip) {
-		tooltip = document.createElement('div');
-		tooltip.id = 'heatmapTooltip';
-		tooltip.style.cssText = 'position: fixed; background: rgba(0,0,0,0.85); color: white; padding: 8px 12px; border-radius: 6px; font-size: 13px; pointer-events: none; z-index: 1000; display: none; box-shadow: 0 2px 8px rgba(0,0,0,0.3); white-space: nowrap;';
-		document.body.appendChild(tooltip);
 	}
+	return lo;
+}
 
-	// Remove any existing mousemove listener to avoid duplicates
-	chartTop.removeEventListener('mousemove', heatmapMouseMoveHandler);
-	chartTop.removeEventListener('mouseleave', heatmapMouseLeaveHandler);
-
-	// Add mousemove listener for tooltip
-	chartTop.addEventListener('mousemove', heatmapMouseMoveHandler, false);
-	chartTop.addEventListener('mouseleave', heatmapMouseLeaveHandler, false);
+// The heat map position of a mouse event, in CSS pixels
+function heatmapEventPos(event) {
+	const rect = chartTop.getBoundingClientRect();
+	return { x: event.clientX - rect.left, y: event.clientY - rect.top };
 }
 
 // Heatmap tooltip handlers
 function heatmapMouseMoveHandler(event) {
 	const tooltip = document.getElementById('heatmapTooltip');
-	const geo = window.heatmapGeometry;
-	if (!tooltip || !geo) return;
+	const state = heatmapState;
+	if (!tooltip || !state || state.drag) return;
 
-	const chartTop = document.getElementById("chartTop");
-	const rect = chartTop.getBoundingClientRect();
-	const x = event.clientX - rect.left;
-	const y = event.clientY - rect.top;
+	const { x, y } = heatmapEventPos(event);
 
-	// Check if within heatmap area (y between 40 and 350 for the data rows)
-	if (x < geo.left || x > geo.right || y < 40 || y > 360) {
+	// Check if within heatmap area (y between 40 and 350 for the data rows, events below that)
+	if (x < state.left || x >= state.right || y < 40) {
 		tooltip.style.display = 'none';
 		return;
 	}
 
-	// Calculate which inspiration/sample we're over
-	const fraction = (x - geo.left) / geo.noCells;
-	const sampleIndex = Math.floor(fraction * geo.sampleCnt);
-
-	// Calculate the time at this position
-	const timeAtPosition = new Date(geo.startDateTime.getTime() + sampleIndex * getMillisPerSample(window.dataArray));
-	const timeStr = formatTimeWithAMPM(timeAtPosition);
-
-	// Calculate elapsed time from start
-	const elapsedMs = sampleIndex * getMillisPerSample(window.dataArray);
+	// The time at this position
+	const timeAtPosition = new Date(state.viewFromMs + (x - state.left) * state.msPerPx);
+	const elapsedMs = timeAtPosition.getTime() - state.fromMs;
 	const elapsedHours = Math.floor(elapsedMs / (1000 * 60 * 60));
 	const elapsedMins = Math.floor((elapsedMs % (1000 * 60 * 60)) / (1000 * 60));
-	const elapsedStr = elapsedHours + 'h ' + elapsedMins + 'm';
+	let tooltipContent = `<strong>${formatTimeWithAMPM(timeAtPosition)}</strong><br>Elapsed: ${elapsedHours}h ${elapsedMins}m`;
 
 	// Determine which row we're hovering over
-	let rowName = '';
-	if (y >= 40 && y < 70) rowName = 'Skew';
-	else if (y >= 70 && y < 100) rowName = 'Spike';
-	else if (y >= 100 && y < 130) rowName = 'Flat Top';
-	else if (y >= 130 && y < 160) rowName = 'Top Heavy';
-	else if (y >= 160 && y < 190) rowName = 'Double Peak';
-	else if (y >= 190 && y < 220) rowName = 'No Pause';
-	else if (y >= 220 && y < 250) rowName = 'Inspir Rate';
-	else if (y >= 250 && y < 280) rowName = 'Double Insp';
-	else if (y >= 280 && y < 310) rowName = 'Variable Amp';
-	else if (y >= 310 && y < 360) rowName = 'Overall';
-
-	// Build tooltip content
-	let tooltipContent = `<strong>${timeStr}</strong><br>Elapsed: ${elapsedStr}`;
-	if (rowName) {
-		tooltipContent += `<br>Row: ${rowName}`;
+	let hoverRow = HEATMAP_ROWS.find(row => y >= row.top && y < row.top + 30);
+	let rowName = hoverRow ? hoverRow.label : '';
+	if (!hoverRow && y >= 310 && y < 354) rowName = 'Overall';
+	else if (y >= 354 && y < 385 && state.eventMarks.length > 0) rowName = 'Events';
+	else if (y >= 385 && state.spo2Cells.length > 0) rowName = 'SpO2';
+
+	// the cell's values - the share of its breaths with each flag, the hovered row in bold
+	const cell = state.cells[state.cellAtPx[Math.floor(x - state.left)]];
+	if (cell) {
+		const inspirations = state.results.inspirations;
+		tooltipContent += `<br>${cell.count} breath${cell.count === 1 ? '' : 's'}`;
+		if (cell.count === 1) {
+			tooltipContent += ` at ${new Date(state.breathMs[cell.firstBreath]).toLocaleTimeString()}`;
+		}
+		for (const row of HEATMAP_ROWS) {
+			const line = `${row.label}: ${Math.round(100 * cell[row.index])}%`;
+			tooltipContent += '<br>' + (row === hoverRow ? `<b>${line}</b>` : line);
+		}
+		const overallLine = `Overall: ${(Math.round(100 * cell.overall) / 100)} flags per breath`;
+		tooltipContent += '<br>' + (rowName === 'Overall' ? `<b>${overallLine}</b>` : overallLine);
+	} else if (y < 354) {
+		tooltipContent += '<br>No inspirations';
+	}
+	if (state.csrBands.some(band => x >= band.fromPx && x <= band.toPx)) {
+		tooltipContent += '<br>Cheyne-Stokes (machine flagged)';
+	}
+	if (rowName === 'Events') {
+		// list the machine events drawn within a couple of pixels of the cursor
+		const nearby = state.eventMarks.filter(mark => Math.abs(mark.px - x) <= 2);
+		for (const mark of nearby) {
+			tooltipContent += `<br>${mark.event.type}: ${formatTimeWithAMPM(mark.time)} (${mark.event.duration}s)`;
+		}
+	}
+	if (rowName === 'SpO2') {
+		const cellSpO2 = state.spo2Cells[Math.floor(x - state.left)];
+		tooltipContent += (cellSpO2 !== undefined && cellSpO2 !== null) ? `<br>SpO2: ${cellSpO2}%` : '<br>SpO2: no data';
 	}
 
 	tooltip.innerHTML = tooltipContent;
@@ -799,6 +1047,116 @@ function heatmapMouseLeaveHandler(event) {
 	if (tooltip) tooltip.style.display = 'none';
 }
 
+// A click on a cell shows the detail graph from the cell's first breath. The page hears of it through a
+// "heatmapselect" event on the canvas.
+function heatmapClickHandler(event) {
+	const state = heatmapState;
+	if (!state) return;
+	if (state.dragged) {
+		// the end of a drag, not a click
+		state.dragged = false;
+		return;
+	}
+	const { x } = heatmapEventPos(event);
+	if (x < state.left || x >= state.right) {
+		// only process clicks within the coloured "cell" area
+		return;
+	}
+	const cell = state.cells[state.cellAtPx[Math.floor(x - state.left)]];
+	if (!cell) {
+		return;
+	}
+	clearTimeout(state.clickTimer);
+	if (event.detail > 1) {
+		// the second click of a double click
+		return;
+	}
+	const samplePos = state.results.inspirations[cell.firstBreath].start;
+	state.clickTimer = setTimeout(function () {
+		showDetailOneMinute(window.flowSignal, state.results, samplePos);
+		chartTop.dispatchEvent(new CustomEvent('heatmapselect', { detail: { samplePos: samplePos } }));
+	}, HEATMAP_CLICK_DELAY_MS);
+}
+
+function heatmapDoubleClickHandler(event) {
+	const state = heatmapState;
+	if (!state) return;
+	clearTimeout(state.clickTimer);
+	state.viewFromMs = state.fromMs;
+	state.viewToMs = state.toMs;
+	drawHeatMap();
+}
+
+// Zoom in or out around the time under the cursor
+function heatmapWheelHandler(event) {
+	const state = heatmapState;
+	if (!state) return;
+	const { x } = heatmapEventPos(event);
+	if (x < state.left || x >= state.right) return;
+	event.preventDefault();
+
+	const fullSpan = state.toMs - state.fromMs;
+	const span = state.viewToMs - state.viewFromMs;
+	const newSpan = Math.max(HEATMAP_MIN_SPAN_SEC * 1000, Math.min(fullSpan,
+		event.deltaY > 0 ? span * HEATMAP_ZOOM_STEP : span / HEATMAP_ZOOM_STEP));
+	const fraction = (x - state.left) / (state.right - state.left);
+	const anchorMs = state.viewFromMs + fraction * span;
+	setHeatmapView(state, anchorMs - fraction * newSpan, newSpan);
+	drawHeatMap();
+}
+
+// Put the view at fromMs for spanMs, kept within the night
+function setHeatmapView(state, fromMs, spanMs) {
+	fromMs = Math.max(state.fromMs, Math.min(fromMs, state.toMs - spanMs));
+	state.viewFromMs = fromMs;
+	state.viewToMs = fromMs + spanMs;
+}
+
+// Drag to pan - followed on the window so the drag carries on outside the canvas
+function heatmapMouseDownHandler(event) {
+	const state = heatmapState;
+	if (!state || event.button !== 0) return;
+	const { x } = heatmapEventPos(event);
+	if (x < state.left || x >= state.right) return;
+	state.drag = { clientX: event.clientX, viewFromMs: state.viewFromMs };
+	state.dragged = false;
+	window.addEventListener('mousemove', heatmapDragHandler, false);
+	window.addEventListener('mouseup', heatmapDragEndHandler, false);
+}
+
+function heatmapDragHandler(event) {
+	const state = heatmapState;
+	if (!state || !state.drag) return;
+	const dx = event.clientX - state.drag.clientX;
+	if (Math.abs(dx) < 3 && !state.dragged) return;
+	state.dragged = true;
+	chartTop.style.cursor = 'grabbing';
+	setHeatmapView(state, state.drag.viewFromMs - dx * state.msPerPx, state.viewToMs - state.viewFromMs);
+	drawHeatMap();
+}
+
+function heatmapDragEndHandler(event) {
+	window.removeEventListener('mousemove', heatmapDragHandler, false);
+	window.removeEventListener('mouseup', heatmapDragEndHandler, false);
+	chartTop.style.cursor = '';
+	if (heatmapState) {
+		heatmapState.drag = null;
+	}
+}
+
+// Lay the heat map out again for the new width (once per frame however many resize events come)
+let heatmapResizePending = false;
+function heatmapResizeHandler(event) {
+	if (heatmapResizePending) return;
+	heatmapResizePending = true;
+	window.requestAnimationFrame(function () {
+		heatmapResizePending = false;
+		if (heatmapState && chartTop && chartTop.isConnected) {
+			drawHeatMap();
+		}
+	});
+}
+
 // Helper to format hour in 12-hour AM/PM format
 function formatHourAMPM(hour24) {
 	const ampm = hour24 >= 12 ? 'PM' : 'AM';
@@ -807,82 +1165,133 @@ function formatHourAMPM(hour24) {
 	return hour12 + ampm;
 }
 
-// Output the hours texts at the top of the canvas
-function outputHoursText(ctx, startDateTime, sampleCnt, pixelHeight, leftPx, rightPx) {
-	let startHour = startDateTime.getHours();
-	let endTime = new Date(startDateTime.getTime() + sampleCnt * getMillisPerSample(window.dataArray));
-	if (startDateTime.getHours() === endTime.getHours()) {// don't attempt to output if the data does not cross an hour boundary
-		return;
+// Output the times along the top of the canvas, centred over their place - whole hours as "1AM",
+// other times (when zoomed in) as "1:15 AM"
+function outputTimeAxis(ctx, fromMs, toMs, leftPx, rightPx, pixelHeight) {
+	let msPerPx = (toMs - fromMs) / (rightPx - leftPx);
+	let stepMinutes = HEATMAP_TICK_MINUTES.find(minutes => minutes * 60000 / msPerPx >= 80) || HEATMAP_TICK_MINUTES[HEATMAP_TICK_MINUTES.length - 1];
+
+	// the first label on a step boundary (local time) at or after the start
+	let tick = new Date(fromMs);
+	tick.setMinutes(stepMinutes >= 60 ? 0 : Math.ceil(tick.getMinutes() / stepMinutes) * stepMinutes, 0, 0);
+	while (tick.getTime() < fromMs || (stepMinutes > 60 && tick.getHours() % (stepMinutes / 60) !== 0)) {
+		tick = new Date(tick.getTime() + Math.min(stepMinutes, 60) * 60000);
 	}
-	// the start time will not be output. We need to work out the first hour boundary after the start time.
-	let startTimeISOStr = startDateTime.toISOString();
-	let previousHourISOStr = startTimeISOStr.substring(0, 13) + ":00:00.000";
-	let previousHour = new Date(previousHourISOStr);
-	let nextHour = new Date(previousHour.getTime() + 3600000);   //add an hour - gives the first hour after start of recording
-
-	fieldWidthPixel = rightPx - leftPx;
 
-	let outHours = [];
-	while (nextHour.getTime() < endTime.getTime()) {  // exit if we've gone over the end time
-		// Determine how many SAMPLES from the start the next hour boundary is
-		let nextHourSampleCnt = (nextHour.getTime() - startDateTime.getTime()) / getMillisPerSample(window.dataArray);
-		// Use the sample could to determine the pixel location
-		let pixelLoc = leftPx + Math.round((nextHourSampleCnt / sampleCnt) * fieldWidthPixel) - 20;
-		// output the hour text in AM/PM format
-		ctx.fillText(formatHourAMPM(nextHour.getHours()), pixelLoc, pixelHeight);
-		// move onto the next hour boundary
-		nextHour = new Date(nextHour.getTime() + 3600000);   //add an hour
+	ctx.fillStyle = BLACK_COLOUR;
+	for (; tick.getTime() <= toMs; tick = new Date(tick.getTime() + stepMinutes * 60000)) {
+		let pixelLoc = leftPx + (tick.getTime() - fromMs) / msPerPx;
+		let label = (tick.getMinutes() === 0) ? formatHourAMPM(tick.getHours()) : formatTimeWithAMPM(tick);
+		let labelWidth = ctx.measureText(label).width;
+		ctx.fillText(label, Math.max(leftPx, Math.min(pixelLoc - labelWidth / 2, rightPx - labelWidth)), pixelHeight);
 	}
-
 }
 
 // output the flow anomaly markings
-function outputFlowAnomaly(ctx, leftPx, smplPerCell, heightPx) {
+function outputFlowAnomaly(ctx, results, toPx, leftPx, rightPx, heightPx) {
 
 	ctx.lineWidth = 3;
+	ctx.strokeStyle = BLACK_COLOUR;
 	for (let i = 0; i < results.flowImbalance.length; i++) {
 		// put a black line in the overview heat map where the flow in and out were not balanced
-		let linePx = leftPx + Math.round(results.flowImbalance[i].inspirPtr / smplPerCell) - 1;
+		let linePx = toPx(signalTimeMs(window.flowSignal, results.flowImbalance[i].inspirPtr));
+		if (linePx < leftPx || linePx > rightPx) {
+			continue;
+		}
 
 		ctx.beginPath();
 		ctx.moveTo(linePx, heightPx);
 		ctx.lineTo(linePx, (heightPx + 30));
-		ctx.strokeStyle = BLACK_COLOUR;
-		ctx.closePath();
 		ctx.stroke();
 	}
+	ctx.lineWidth = 1;
+}
 
+// output a tick for each machine-scored event in view, below the overall line.
+// Event positions are sample offsets into the (concatenated) flow data.
+function outputMachineEvents(ctx, results, toPx, leftPx, rightPx, heightPx) {
+	let marks = [];
+	ctx.lineWidth = 2;
+	for (const nextEvent of results.events) {
+		let eventMs = signalTimeMs(window.flowSignal, nextEvent.samplePos);
+		let linePx = toPx(eventMs);
+		if (linePx < leftPx || linePx > rightPx) {
+			continue;
+		}
+
+		ctx.beginPath();
+		ctx.moveTo(linePx, heightPx);
+		ctx.lineTo(linePx, (heightPx + 20));
+		ctx.strokeStyle = MACHINE_EVENT_COLOURS[nextEvent.type] || BLACK_COLOUR;
+		ctx.stroke();
+
+		marks.push({ px: linePx, event: nextEvent, time: new Date(eventMs) });
+	}
+	ctx.lineWidth = 1;
+	return marks;
 }
 
-// output a cell's index lines
-function outputIndicesLine(ctx, indices, leftPx) {
-	outputIndexLine(ctx, indices.skew, leftPx, 40);
-	outputIndexLine(ctx, indices.spike, leftPx, 70);
-	outputIndexLine(ctx, indices.flatTop, leftPx, 100);
-	outputIndexLine(ctx, indices.topHeavy, leftPx, 130);
-	outputIndexLine(ctx, indices.multiPeak, leftPx, 160);
-	outputIndexLine(ctx, indices.noPause, leftPx, 190);
-	outputIndexLine(ctx, indices.inspirRate, leftPx, 220);
-	outputIndexLine(ctx, indices.multiBreath, leftPx, 250);
-	outputIndexLine(ctx, indices.ampVar, leftPx, 280);
-
-	// output overall cell line
-	ctx.beginPath();
-	ctx.moveTo(leftPx, 320);
-	ctx.lineTo(leftPx, 350);
-	ctx.strokeStyle = getOverallColourFromValue(indices.overall);
-	ctx.closePath();
-	ctx.stroke();
+// shade each CSR period in view across the index rows. Returns the pixel range of each band (for the tooltip).
+function outputCSRBands(ctx, results, toPx, leftPx, rightPx, topPx, bottomPx) {
+	let bands = [];
+	ctx.fillStyle = CSR_BAND_COLOUR;
+	for (const nextBand of results.csr) {
+		let fromPx = Math.max(leftPx, toPx(signalTimeMs(window.flowSignal, nextBand.startSample)));
+		let toPxEnd = Math.min(rightPx, toPx(signalTimeMs(window.flowSignal, nextBand.endSample)));
+		if (toPxEnd < fromPx) {
+			continue;
+		}
+		ctx.fillRect(fromPx, topPx, Math.max(toPxEnd - fromPx, 1), bottomPx - topPx);
+		bands.push({ fromPx: fromPx, toPx: toPxEnd });
+	}
+	return bands;
 }
 
-// output a single index line for a single characteristic
-function outputIndexLine(ctx, indexValue, leftPx, heightPx) {
-	ctx.beginPath();
-	ctx.moveTo(leftPx, heightPx);
-	ctx.lineTo(leftPx, (heightPx + 25));
-	ctx.strokeStyle = getColourFromValue(indexValue);
-	ctx.closePath();
-	ctx.stroke();
+// output the SpO2 track: one line per pixel column, its height showing the lowest SpO2 there (80% - 100%).
+// Each reading is drawn up to the next (a second or so apart). Returns the lowest SpO2 of each column
+// (null where there is no oximetry data).
+function outputSpO2Track(ctx, results, toPx, leftPx, rightPx, heightPx) {
+	const TRACK_HEIGHT = 40;
+	const SPO2_FLOOR = 80;
+	const MAX_READING_GAP_MS = 10000;
+	let width = rightPx - leftPx;
+	let columnMins = new Array(width).fill(null);
+	let points = results.spo2;
+	for (let i = 0; i < points.length; i++) {
+		let pointMs = signalTimeMs(window.flowSignal, points[i].samplePos);
+		let nextMs = (i + 1 < points.length) ? signalTimeMs(window.flowSignal, points[i + 1].samplePos) : pointMs;
+		let fromCol = Math.floor(toPx(pointMs) - leftPx);
+		let toCol = (nextMs - pointMs <= MAX_READING_GAP_MS) ? Math.ceil(toPx(nextMs) - leftPx) : fromCol + 1;
+		for (let col = Math.max(fromCol, 0); col < Math.min(Math.max(toCol, fromCol + 1), width); col++) {
+			if (columnMins[col] === null || points[i].value < columnMins[col]) {
+				columnMins[col] = points[i].value;
+			}
+		}
+	}
+
+	ctx.fillStyle = STD_COLOURS[3];
+	for (let col = 0; col < width; col++) {
+		if (columnMins[col] === null) {
+			continue;
+		}
+		let level = Math.max(0, Math.min(1, (columnMins[col] - SPO2_FLOOR) / (100 - SPO2_FLOOR)));
+		let barHeight = Math.max(1, Math.round(level * TRACK_HEIGHT));
+		ctx.fillStyle = columnMins[col] < 90 ? OVERALL_COLOURS[4] : STD_COLOURS[3];
+		ctx.fillRect(leftPx + col, heightPx + TRACK_HEIGHT - barHeight, 1, barHeight);
+	}
+	return columnMins;
+}
+
+// output a cell's index rows, widthPx wide
+function outputCell(ctx, cell, leftPx, widthPx) {
+	for (const row of HEATMAP_ROWS) {
+		ctx.fillStyle = getColourFromValue(cell[row.index]);
+		ctx.fillRect(leftPx, row.top, widthPx, 25);
+	}
+
+	// output overall cell
+	ctx.fillStyle = getOverallColourFromValue(cell.overall);
+	ctx.fillRect(leftPx, HEATMAP_OVERALL_TOP, widthPx, 30);
 }
 
 // determine the colour from the index value
@@ -915,8 +1324,14 @@ function getOverallColourFromValue(indexValue) {
 	}
 }
 
-// When selected, output the detail graph for one minute of flow.  
-function showDetailOneMinute(dataArray, results, samplePos) {
+// The inspirations in the detail chart with their times, to find the one clicked on
+let detailBreaths = [];
+// The inspiration picked out in the detail chart (kept while scrolling)
+let detailBreathSelected = null;
+
+// When selected, output the detail graph for detailWindowSec of flow around the sample, and under it
+// a track per machine channel for the same time (showDetailTracks).
+function showDetailOneMinute(flowSignal, results, samplePos) {
 	if (chartDetail != null) {
 		// clear a chart if one is already in view
 		chartDetail.destroy();
@@ -925,102 +1340,395 @@ function showDetailOneMinute(dataArray, results, samplePos) {
 	detailSampleSelected = samplePos;
 
 	// determine which flow sample to start and end the graph with
-	let startPtr = samplePos - (DETAIL_SAMPLES_SHOW / 2);
-	let endPtr = samplePos + (DETAIL_SAMPLES_SHOW / 2);
+	const samplesShown = secondsToSamples(flowSignal, detailWindowSec);
+	let startPtr = samplePos - Math.round(samplesShown / 2);
+	let endPtr = startPtr + samplesShown;
 	if (startPtr < 0) {
 		startPtr = 0;
-		endPtr = DETAIL_SAMPLES_SHOW;
-	} else if (endPtr > (dataArray.length - 1)) {
-		startPtr = dataArray.length - DETAIL_SAMPLES_SHOW - 1;
-		endPtr = dataArray.length - 1;
+		endPtr = samplesShown;
+	} else if (endPtr > (flowSignal.values.length - 1)) {
+		startPtr = Math.max(flowSignal.values.length - samplesShown - 1, 0);
+		endPtr = flowSignal.values.length - 1;
 	}
+	// the time on show, which every track shares
+	let fromMs = signalTimeMs(flowSignal, startPtr);
+	let toMs = signalTimeMs(flowSignal, Math.max(Math.min(endPtr, flowSignal.values.length) - 1, startPtr));
 
-	// obtain the flow data
-	let flowData = dataArray.slice(startPtr, endPtr);
-	let idealData = results.idealArray.slice(startPtr, endPtr);
+	// form the chart points for the samples on show
+	let flowData = signalChartPoints(flowSignal, startPtr, endPtr);
+	let idealData = results.idealValues ? signalChartPoints(flowSignal, startPtr, endPtr, results.idealValues) : [];
 
 	// prepare the chart for display
 	const ctx = document.getElementById('chartDetail');
 
+	let datasets = [{
+		label: 'Flow Rate (l/min)',
+		data: flowData,
+		pointStyle: false,
+		borderColor: '#1b1e7a',
+		borderWidth: 2,
+	}, {
+		label: 'Idealized',
+		data: idealData,
+		pointStyle: false,
+		borderColor: '#f21e0f',
+		borderWidth: 1,
+	}];
+
+	// each inspiration in view is shaded by how many flags it raised. Click one to see why (selectDetailBreath).
+	detailBreaths = [];
+	for (const nextInspir of (results.inspirations || [])) {
+		if (nextInspir.end < startPtr || nextInspir.start >= endPtr) {
+			continue;
+		}
+		let breathStart = Math.max(nextInspir.start, startPtr);
+		let breathEnd = Math.min(nextInspir.end + 1, endPtr);
+		detailBreaths.push({ inspiration: nextInspir, startMs: signalTimeMs(flowSignal, breathStart), endMs: signalTimeMs(flowSignal, breathEnd - 1) });
+		let selected = (nextInspir === detailBreathSelected);
+		datasets.push({
+			label: 'Inspiration',
+			data: signalChartPoints(flowSignal, breathStart, breathEnd),
+			pointStyle: false,
+			borderColor: selected ? BLACK_COLOUR : 'transparent',
+			borderWidth: selected ? 2 : 0,
+			fill: 'origin',
+			backgroundColor: getOverallColourFromValue(nextInspir.indices ? nextInspir.indices.overall : 0) + "99",
+			isBreath: true,
+		});
+		if (selected && results.idealValues) {
+			// the selected breath's idealised curve over its measured flow
+			datasets.push({
+				label: 'Selected Idealized',
+				data: signalChartPoints(flowSignal, breathStart, breathEnd, results.idealValues),
+				pointStyle: false,
+				borderColor: '#f21e0f',
+				borderWidth: 3,
+			});
+		}
+	}
+
+	// machine-scored events in view are drawn as bars along the top of the chart, one per event duration
+	let eventData = detailEventData(flowSignal, results.events, startPtr, endPtr);
+	if (eventData.length > 0) {
+		datasets.push({
+			label: 'Machine Events',
+			data: eventData,
+			yAxisID: 'yEvents',
+			borderColor: '#000000',
+			borderWidth: 6,
+			pointRadius: 3,
+			spanGaps: false,
+			segment: {
+				borderColor: seg => MACHINE_EVENT_COLOURS[seg.p0.raw.eventType] || BLACK_COLOUR,
+			},
+		});
+	}
+
 	chartDetail = new Chart(ctx, {
 		type: 'line',
 		data: {
-			datasets: [{
-				label: 'Flow Rate (l/min)',
-				data: flowData,
-				pointStyle: false,
-				borderColor: '#1b1e7a',
-				borderWidth: 2,
-			}, {
-				label: 'Idealized',
-				data: idealData,
-				pointStyle: false,
-				borderColor: '#f21e0f',
-				borderWidth: 1,
-			}],
+			datasets: datasets,
 		},
 		options: {
 			maintainAspectRatio: false,
+			animation: false,
+			onClick: function (event, elements, chart) {
+				let clickMs = chart.scales.x.getValueForPixel(event.x);
+				let clicked = detailBreaths.find(nextBreath => clickMs >= nextBreath.startMs && clickMs <= nextBreath.endMs);
+				if (clicked) {
+					selectDetailBreath(flowSignal, results, clicked.inspiration);
+				}
+			},
+			onHover: detailCursorHover,
+			plugins: {
+				legend: {
+					labels: {
+						filter: (item, data) => !data.datasets[item.datasetIndex].isBreath,
+					},
+				},
+				tooltip: {
+					filter: item => !item.dataset.isBreath,
+					callbacks: {
+						label: function (context) {
+							if (context.raw && context.raw.eventLabel) {
+								return context.raw.eventLabel;
+							}
+							return context.dataset.label + ': ' + context.formattedValue;
+						},
+					},
+				},
+			},
 			scales: {
+				// the flow is scaled to what's on show, and the events sit along the top whatever that is
 				y: {
-					min: -40,
-					max: 40,
+					grace: '5%',
+					afterFit: scale => { scale.width = DETAIL_AXIS_PX; },
 				},
-				x: {
-					type: 'timeseries',
-					ticks: {
-						callback: dateTickFormat,
-					},
-				}
-
+				yEvents: {
+					display: false,
+					min: 0,
+					max: 1,
+				},
+				x: detailTimeScale(fromMs, toMs, true),
 			},
 		},
+		plugins: [detailCursorPlugin],
 	});
+	showDetailTracks(results.channelSeries, fromMs, toMs);
+
 	// active the scroll buttons	
 	document.getElementById('backBtn').style.visibility = "visible";
 	document.getElementById('fwdBtn').style.visibility = "visible";
 }
 
+// The time axis of the flow chart and the tracks - fromMs to toMs on all of them, so they line up
+function detailTimeScale(fromMs, toMs, showTicks) {
+	return {
+		type: 'time',
+		min: fromMs,
+		max: toMs,
+		ticks: {
+			display: showTicks,
+			maxTicksLimit: 10,
+			callback: dateTickFormat,
+		},
+	};
+}
+
+// The stacked tracks under the flow chart: one chart per machine channel the night has (mask pressure,
+// leak, SpO2 ...), each scaled to its own values over the time the flow chart shows. They're drawn into
+// the page's "detailTracks" element, where there is one.
+let detailTrackCharts = [];
+
+function showDetailTracks(channelSeries, fromMs, toMs) {
+	clearDetailTracks();
+	const container = document.getElementById('detailTracks');
+	if (!container || !channelSeries) {
+		return;
+	}
+	for (const nextSeries of channelSeries) {
+		let points = channelChartPoints(nextSeries, fromMs, toMs);
+		if (points.length === 0) {
+			continue;
+		}
+		let holder = document.createElement('div');
+		holder.style.cssText = 'position: relative; height: ' + DETAIL_TRACK_PX + 'px;';
+		let canvas = document.createElement('canvas');
+		holder.appendChild(canvas);
+		container.appendChild(holder);
+		detailTrackCharts.push(new Chart(canvas, {
+			type: 'line',
+			data: {
+				datasets: [{
+					label: nextSeries.label,
+					data: points,
+					pointStyle: false,
+					borderColor: nextSeries.colour,
+					borderWidth: 1.5,
+					spanGaps: false,
+				}],
+			},
+			options: {
+				maintainAspectRatio: false,
+				animation: false,
+				onHover: detailCursorHover,
+				interaction: {
+					mode: 'nearest',
+					axis: 'x',
+					intersect: false,
+				},
+				plugins: {
+					legend: {
+						display: false,
+					},
+					detailCursor: {
+						readout: true,
+					},
+				},
+				scales: {
+					y: {
+						grace: '10%',
+						title: {
+							display: true,
+							text: nextSeries.label,
+							font: { size: 10 },
+						},
+						ticks: {
+							maxTicksLimit: 4,
+						},
+						afterFit: scale => { scale.width = DETAIL_AXIS_PX; },
+					},
+					x: detailTimeScale(fromMs, toMs, false),
+				},
+			},
+			plugins: [detailCursorPlugin],
+		}));
+	}
+}
+
+function clearDetailTracks() {
+	for (const nextChart of detailTrackCharts) {
+		nextChart.canvas.parentNode.remove();
+		nextChart.destroy();
+	}
+	detailTrackCharts = [];
+}
+
+// Form the chart points of a channel series between two times. Each series holds the channel's
+// recording for each session: [{ startMs, intervalMs, values }], in wall-clock time. A null value
+// (e.g. the oximeter was off) leaves a gap, as does the time between sessions.
+function channelChartPoints(channelSeries, fromMs, toMs) {
+	let points = [];
+	for (const nextRecording of channelSeries.recordings) {
+		// take in the readings either side of the window, so the line runs to its edges
+		let first = Math.max(0, Math.floor((fromMs - nextRecording.startMs) / nextRecording.intervalMs));
+		let last = Math.min(nextRecording.values.length - 1, Math.ceil((toMs - nextRecording.startMs) / nextRecording.intervalMs));
+		if (first > last) {
+			continue;
+		}
+		if (points.length > 0) {
+			points.push({ x: nextRecording.startMs + first * nextRecording.intervalMs, y: null });
+		}
+		for (let i = first; i <= last; i++) {
+			points.push({ x: nextRecording.startMs + i * nextRecording.intervalMs, y: nextRecording.values[i] });
+		}
+	}
+	return points;
+}
+
+// The time the mouse is at in the flow chart or any track, drawn as a line across them all
+let detailCursorMs = null;
+
+function detailCursorHover(event, elements, chart) {
+	let cursorMs = (event.type === 'mouseout') ? null : chart.scales.x.getValueForPixel(event.x);
+	if (cursorMs === detailCursorMs) {
+		return;
+	}
+	detailCursorMs = cursorMs;
+	for (const nextChart of [chartDetail, ...detailTrackCharts]) {
+		if (nextChart != null && nextChart !== chart) {
+			nextChart.draw();
+		}
+	}
+}
+
+// Chart.js plugin for the flow chart and the tracks: the cursor line, and on a track (readout) the
+// channel's value at the cursor
+const detailCursorPlugin = {
+	id: 'detailCursor',
+	afterDraw: function (chart, args, options) {
+		if (detailCursorMs === null) {
+			return;
+		}
+		let area = chart.chartArea;
+		let x = chart.scales.x.getPixelForValue(detailCursorMs);
+		if (x < area.left || x > area.right) {
+			return;
+		}
+		let ctx = chart.ctx;
+		ctx.save();
+		ctx.strokeStyle = "rgba(0, 0, 0, 0.5)";
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+		ctx.moveTo(x, area.top);
+		ctx.lineTo(x, area.bottom);
+		ctx.stroke();
+		if (options.readout) {
+			let point = chart.data.datasets[0].data.findLast(nextPoint => nextPoint.x <= detailCursorMs);
+			if (point && point.y !== null) {
+				let text = String(Math.round(point.y * 10) / 10);
+				ctx.font = "bold 12px sans-serif";
+				ctx.fillStyle = BLACK_COLOUR;
+				let textWidth = ctx.measureText(text).width;
+				ctx.fillText(text, (x + 4 + textWidth > area.right) ? x - 4 - textWidth : x + 4, area.top + 12);
+			}
+		}
+		ctx.restore();
+	},
+};
+
+// Pick out an inspiration in the detail chart: outline it, draw its idealised curve and, where the page
+// has a breath inspector (showBreathInspector), show its features against the thresholds it was flagged with.
+function selectDetailBreath(flowSignal, results, inspiration) {
+	detailBreathSelected = inspiration;
+	showDetailOneMinute(flowSignal, results, detailSampleSelected);
+	if (typeof showBreathInspector === 'function') {
+		showBreathInspector(inspiration, describeIndices(inspiration, results.giThresholds || DEFAULT_GI_THRESHOLDS),
+			signalTimeMs(flowSignal, inspiration.start), signalTimeMs(flowSignal, inspiration.end));
+	}
+}
+
+// Form the chart points for the machine events that fall in the displayed sample range.
+// Each event becomes a start and end point (along the top of the chart) followed by a gap.
+function detailEventData(flowSignal, events, startPtr, endPtr) {
+	let eventData = [];
+	if (!events) {
+		return eventData;
+	}
+	let millisPerSample = getMillisPerSample(flowSignal);
+	for (const nextEvent of events) {
+		let eventStart = nextEvent.samplePos;
+		let eventEnd = eventStart + Math.round((nextEvent.duration * 1000) / millisPerSample);
+		if (eventEnd < startPtr || eventStart >= endPtr) {
+			continue;
+		}
+		eventStart = Math.max(eventStart, startPtr);
+		eventEnd = Math.min(eventEnd, endPtr - 1);
+		let eventLabel = nextEvent.type + " (" + nextEvent.duration + "s)";
+		eventData.push({ x: signalTimeMs(flowSignal, eventStart), y: 0.95, eventType: nextEvent.type, eventLabel: eventLabel });
+		eventData.push({ x: signalTimeMs(flowSignal, eventEnd), y: 0.95, eventType: nextEvent.type, eventLabel: eventLabel });
+		eventData.push({ x: signalTimeMs(flowSignal, eventEnd), y: null });
+	}
+	return eventData;
+}
+
 function clearDetailGraph() {
 	// clear the detail graph
 	if (chartDetail != null) {
 		chartDetail.destroy();
 	}
+	clearDetailTracks();
 	// hide the back and forward buttons
 	document.getElementById('backBtn').style.visibility = "hidden";
 	document.getElementById('fwdBtn').style.visibility = "hidden";
 }
 
-const DETAIL_SAMPLES_MOVE = 1125;
+// Show detailWindowSec seconds of flow from now on, redrawing the detail graph if one is in view
+function setDetailWindow(seconds) {
+	detailWindowSec = seconds;
+	if (chartDetail != null && window.flowSignal && window.results) {
+		showDetailOneMinute(window.flowSignal, window.results, detailSampleSelected);
+	}
+}
+
+// The sample the detail graph is centred on after stepping back / forward from the one it is on
+function detailStepBack(flowSignal) {
+	return Math.max(0, detailSampleSelected - secondsToSamples(flowSignal, detailWindowSec * DETAIL_MOVE_FRACTION));
+}
+
+function detailStepForward(flowSignal) {
+	const lastSelectable = flowSignal.values.length - Math.round(secondsToSamples(flowSignal, detailWindowSec) / 2);
+	return Math.max(0, Math.min(lastSelectable, detailSampleSelected + secondsToSamples(flowSignal, detailWindowSec * DETAIL_MOVE_FRACTION)));
+}
 
 function showDetailBack() {
-	// show the data about 45 seconds before that currently selected 
+	// show the data about three quarters of a window before that currently selected
 	if (chartDetail == null) {
 		console.log("No detail being displayed. Cannot move back.")
 		return;
 	}
 
-	let refreshSampleSelected = detailSampleSelected - DETAIL_SAMPLES_MOVE;
-	if (refreshSampleSelected < 0) {
-		refreshSampleSelected = 0;
-	}
-
-	showDetailOneMinute(dataArray, results, refreshSampleSelected);
+	showDetailOneMinute(window.flowSignal, results, detailStepBack(window.flowSignal));
 }
 
 function showDetailForward() {
-	// show the data about 45 seconds after that currently selected
+	// show the data about three quarters of a window after that currently selected
 	if (chartDetail == null) {
 		console.log("No detail being displayed. Cannot move forward.")
 		return;
 	}
 
-	let refreshSampleSelected = detailSampleSelected + DETAIL_SAMPLES_MOVE;
-	if (refreshSampleSelected > dataArray.length - (DETAIL_SAMPLES_SHOW / 2)) {
-		refreshSampleSelected = dataArray.length - (DETAIL_SAMPLES_SHOW / 2);
-	}
-
-	showDetailOneMinute(dataArray, results, refreshSampleSelected);
+	showDetailOneMinute(window.flowSignal, results, detailStepForward(window.flowSignal));
 }
 
 
@@ -1033,32 +1741,17 @@ function downloadJSON(jsObj, fileName) {
 	saveAs(fileToSave, fileName);
 }
 
-// Take the input EDF data and form the data for further processing and display 
-function formDataArray(fileData) {
-	dataArray = [];
-	startDateTime = new Date(fileData.startDateTime.getTime());
-	for (const nextSignal of fileData.signals) {
-		if (!nextSignal.label.includes("Flow")) {
-			continue;
-		}
-		let nextSampleDateTime = fileData.startDateTime;
-		for (const nextValue of nextSignal.physicalValues) {
-
-			dataArray.push({ x: formatChartDate(nextSampleDateTime), y: nextValue * 1 });
-
-			nextSampleDateTime = new Date(nextSampleDateTime.getTime() + nextSignal.sampleIntervalmS);
-		}
+// Take the input EDF data and form the flow signal for further processing and display.
+// parseEDFFile has already converted the flow to L/min, whatever unit the machine recorded it in.
+function formFlowSignal(fileData) {
+	if (!fileData.flowSignal) {
+		return null;
 	}
-	return dataArray;
+	return makeSignal(fileData.flowSignal.physicalValues, fileData.startDateTime, fileData.flowSignal.samplingRate);
 }
 
-//Called by the chart library for each "tick" on the chart. This will only return one in every 12 ticks
-// to avoid the chart becoming overcrowded.
+//Called by the chart library for each "tick" on the detail chart's time axis (at most maxTicksLimit of them).
 function dateTickFormat(value, index, ticks) {
-
-	if (index % 12 !== 0) {
-		return "";
-	}
 	let tickDate = new Date(value);
 	return twoCharLeadingZero(tickDate.getHours()) + ":" + twoCharLeadingZero(tickDate.getMinutes())
 		+ ":" + twoCharLeadingZero(tickDate.getSeconds());
@@ -1093,4 +1786,9 @@ function formatChartDate(inDate) {
 		twoCharLeadingZero(inDate.getMinutes()) + ":" +
 		twoCharLeadingZero(inDate.getSeconds()) + "." +
 		threeCharLeadingZero(inDate.getMilliseconds());
-}
\ No newline at end of file
+}
+
+// Imported by AnalysisWorker.js as a module, where the declarations above aren't globals - what analyzeSessionData calls
+Object.assign(globalThis, {
+	makeSignal, formFlowSignal, findMins, findInspirations, calcCycleBasedIndicators, prepIdealFlow, inspirationAmplitude, prepIndices
+});
@@ -0,0 +1,322 @@
+// The analysis run on each session as a card is loaded: the flow is parsed from the BRP.edf (or handed
+// over already unpacked from a Philips .005), then the Glasgow Index (FlowLimits.js) and the Wobble
+// metrics are worked out from it.
+//
+// megascore.html loads this as a plain script, after EDFFile.js and FlowLimits.js. The analysis workers
+// (AnalysisWorker.js) import all three as modules and run analyzeSessionData on each session they're sent.
+
+/**
+ * Parse and analyse one session.
+ * @param {Object} job - { kind: 'edf', buffer (BRP.edf ArrayBuffer) } or
+ *   { kind: 'flow', values (Float32Array, L/min), startMs, samplingRate } (a Philips waveform),
+ *   with the giThresholds and wobbleParams to use
+ * @param {function} onStage - Called with 'parsing', 'glasgow' and 'wobble' as each step starts
+ * @returns {Object} { startDateTime, flowSignal, cumIndex, giThresholds, inspirations, idealValues, wobble, wobbleParams }
+ */
+function analyzeSessionData(job, onStage = () => {}) {
+	onStage("parsing");
+	let flowSignal;
+	if (job.kind === "flow") {
+		flowSignal = makeSignal(job.values, new Date(job.startMs), job.samplingRate);
+	} else {
+		const fileData = parseEDFFile(job.buffer);
+		if (fileData.formatVersion !== "0") {
+			throw new Error("Incorrect file format");
+		}
+		flowSignal = formFlowSignal(fileData);
+	}
+	if (!flowSignal || flowSignal.values.length === 0) {
+		throw new Error("No flow data found");
+	}
+
+	// Glasgow Index
+	onStage("glasgow");
+	const results = {};
+	const isMin = findMins(flowSignal);
+	findInspirations(flowSignal, results, job.giThresholds);
+	calcCycleBasedIndicators(flowSignal, results, isMin);
+	prepIdealFlow(flowSignal, results);
+	inspirationAmplitude(flowSignal, results);
+	results.cumIndex = prepIndices(results, job.giThresholds);
+
+	// Wobble analysis (sample entropy, FFT periodicity)
+	onStage("wobble");
+	let wobbleMetrics = { sampleEntropy: NaN, periodicityScore: 0, breathsPerMin: 0, dominantFreqHz: 0 };
+	try {
+		wobbleMetrics = runWobbleAnalysis(flowSignal, job.wobbleParams);
+	} catch (e) {
+		console.warn("Wobble analysis failed:", e);
+	}
+
+	return {
+		startDateTime: new Date(flowSignal.startMs),
+		flowSignal: flowSignal,
+		cumIndex: results.cumIndex,
+		giThresholds: job.giThresholds,
+		inspirations: results.inspirations || [],
+		idealValues: results.idealValues,
+		wobble: wobbleMetrics,
+		wobbleParams: job.wobbleParams
+	};
+}
+
+// ============ Wobble Analysis Functions ============
+// These are run on each session's flow data to produce additional metrics
+
+// The Wobble Analysis Tool's fixed parameters, overridden from the settings (getWobbleParams)
+const DEFAULT_WOBBLE_PARAMS = {
+	entropyWindowSec: 60,       // minute ventilation window for the entropy and FFT
+	entropyM: 2,                // sample entropy template length (m and m + 1 are compared)
+	entropyR: 0.2,              // sample entropy tolerance, as a fraction of the SD
+	fftEnabled: true,
+	pbMinHz: 0.01,              // periodic breathing band - cycles of 33 to 100 seconds
+	pbMaxHz: 0.03,
+	flowLimEnabled: true,
+	flFlatnessTarget: 0.05,     // top-of-breath variance scored as 0% flat
+	flTopFraction: 0.5          // part of the breath above this fraction of its peak is the "top"
+};
+// inspirations shorter than this aren't scored for flow limitation (10 samples at 25 Hz)
+const WOBBLE_MIN_INSPIRATION_SEC = 0.4;
+
+/**
+ * Run Wobble analysis on a session's flow signal (see makeSignal in FlowLimits.js) - on upload
+ * and to re-run it on cached sessions.
+ * Ported exactly from Wobble Analysis Tool (React/Vite).
+ * @param {Object} flowSignal - { values (Float32Array), samplingRate, ... }
+ * @param {Object} params - See DEFAULT_WOBBLE_PARAMS
+ * @returns {Object} Wobble metrics
+ */
+function runWobbleAnalysis(flowSignal, params = DEFAULT_WOBBLE_PARAMS) {
+	if (!flowSignal || flowSignal.values.length === 0) {
+		return { flScore: 0, periodicityIndex: 0, regularityScore: 0, eai: 0, composite: 0, durationMinutes: 0 };
+	}
+	return computeWobbleMetrics(flowSignal.values, flowSignal.samplingRate, params);
+}
+
+/**
+ * Wobble metrics from the flow values (an array or Float32Array).
+ * Metrics switched off in the params come back as NaN.
+ */
+function computeWobbleMetrics(flowData, sampleRateHz, params = DEFAULT_WOBBLE_PARAMS) {
+	const durationMinutes = (flowData.length / sampleRateHz) / 60;
+
+	// 1. Flow Limitation
+	const breaths = [];
+	let inInspiration = false;
+	let inspirationStart = 0;
+	let currentBreath = null;
+
+	for (let i = 1; i < flowData.length; i++) {
+		if (flowData[i] > 0 && flowData[i - 1] <= 0) {
+			inspirationStart = i;
+			inInspiration = true;
+			currentBreath = {
+				start: i,
+				end: i,
+				inspStart: inspirationStart,
+				inspEnd: i,
+				startTime: i / sampleRateHz
+			};
+			breaths.push(currentBreath);
+		} else if (flowData[i] <= 0 && flowData[i - 1] > 0) {
+			if (inInspiration && currentBreath) {
+				currentBreath.inspEnd = i;
+				currentBreath.end = i;
+				currentBreath.endTime = i / sampleRateHz;
+			}
+			inInspiration = false;
+		}
+	}
+
+	const flScores = [];
+	for (const breath of (params.flowLimEnabled ? breaths : [])) {
+		const inspFlow = flowData.slice(breath.inspStart, breath.inspEnd);
+		if (inspFlow.length < WOBBLE_MIN_INSPIRATION_SEC * sampleRateHz) continue;
+
+		const maxFlow = Math.max(...inspFlow);
+		if (maxFlow < 0.1) continue;
+
+		const normalizedFlow = inspFlow.map(f => f / maxFlow);
+
+		const topHalfStart = normalizedFlow.findIndex(f => f > params.flTopFraction);
+		const topHalfEnd = normalizedFlow.length - [...normalizedFlow].reverse().findIndex(f => f > params.flTopFraction);
+
+		if (topHalfStart >= 0 && topHalfEnd > topHalfStart) {
+			const topHalf = normalizedFlow.slice(topHalfStart, topHalfEnd);
+			const topHalfMean = topHalf.reduce((a, b) => a + b) / topHalf.length;
+			const topHalfVariance = topHalf.reduce((sum, val) => {
+				const diff = val - topHalfMean;
+				return sum + diff * diff;
+			}, 0) / topHalf.length;
+
+			const flatness = Math.max(0, Math.min(100, (params.flFlatnessTarget - topHalfVariance) / params.flFlatnessTarget * 100));
+			flScores.push(flatness);
+		}
+	}
+	let flScore = flScores.length > 0 ? flScores.reduce((a, b) => a + b) / flScores.length : 0;
+	if (!params.flowLimEnabled) flScore = NaN;
+
+	// 2. Arousal Estimation (EAI)
+	let eai = 0;
+	if (breaths.length >= 10 && durationMinutes > 0) {
+		const breathMetrics = [];
+		for (let i = 1; i < breaths.length; i++) {
+			const breath = breaths[i];
+			const prevBreath = breaths[i - 1];
+
+			const breathDuration = breath.startTime - prevBreath.startTime;
+			if (breathDuration <= 0 || breathDuration > 20) continue;
+
+			const respiratoryRate = 60 / breathDuration;
+			const inspFlow = flowData.slice(breath.inspStart, breath.inspEnd);
+			const tidalVolume = inspFlow.reduce((sum, f) => sum + Math.abs(f), 0) / sampleRateHz;
+
+			breathMetrics.push({
+				time: breath.startTime, rate: respiratoryRate, volume: tidalVolume, breathIndex: i
+			});
+		}
+
+		if (breathMetrics.length >= 10) {
+			const baselineWindow = 120;
+			const arousals = [];
+
+			for (let i = 0; i < breathMetrics.length; i++) {
+				const currentMetric = breathMetrics[i];
+				const baselineStart = Math.max(0, i - Math.floor(baselineWindow / (60 / currentMetric.rate)));
+				const baselineMetrics = breathMetrics.slice(baselineStart, i);
+
+				if (baselineMetrics.length < 5) continue;
+
+				const baselineRate = baselineMetrics.reduce((sum, m) => sum + m.rate, 0) / baselineMetrics.length;
+				const baselineVolume = baselineMetrics.reduce((sum, m) => sum + m.volume, 0) / baselineMetrics.length;
+
+				const rateIncrease = (currentMetric.rate - baselineRate) / baselineRate;
+				const volumeIncrease = (currentMetric.volume - baselineVolume) / baselineVolume;
+
+				if (rateIncrease > 0.20 || volumeIncrease > 0.30) {
+					const recentArousal = arousals.length > 0 &&
+						(currentMetric.time - arousals[arousals.length - 1].time) < 15;
+
+					if (!recentArousal) {
+						arousals.push({ time: currentMetric.time });
+					}
+				}
+			}
+			eai = durationMinutes > 0 ? arousals.length / (durationMinutes / 60) : 0;
+		}
+	}
+
+	// 3. Minute Ventilation & Entropy & FFT
+	let regularityScore = 0;
+	let periodicityIndex = params.fftEnabled ? 0 : NaN;
+
+	const windowSize = Math.floor(params.entropyWindowSec * sampleRateHz);
+	const stepSize = Math.floor(5 * sampleRateHz);
+	const minuteVent = [];
+
+	for (let i = 0; i < flowData.length - windowSize; i += stepSize) {
+		const window = flowData.slice(i, i + windowSize);
+		let tidalVolume = 0;
+		let breathCount = 0;
+		let inInhalation = false;
+
+		for (let j = 1; j < window.length; j++) {
+			if (window[j] > 0 && window[j - 1] <= 0) { breathCount++; inInhalation = true; }
+			if (inInhalation && window[j] > 0) tidalVolume += Math.abs(window[j]) / sampleRateHz;
+			if (window[j] <= 0) inInhalation = false;
+		}
+		minuteVent.push((tidalVolume * breathCount) / 60);
+	}
+
+	if (minuteVent.length > 0) {
+		const mvMean = minuteVent.reduce((a, b) => a + b) / minuteVent.length;
+		const detrended = minuteVent.map(v => v - mvMean);
+
+		// Sample Entropy on Minute Ventilation
+		const variance = minuteVent.reduce((sum, val) => sum + Math.pow(val - mvMean, 2), 0) / minuteVent.length;
+		const r = params.entropyR * Math.sqrt(variance);
+
+		const countMatches = (m) => {
+			let count = 0;
+			const N = minuteVent.length;
+			for (let i = 0; i < N - m; i++) {
+				for (let j = i + 1; j < N - m; j++) {
+					let match = true;
+					for (let k = 0; k < m; k++) {
+						if (Math.abs(minuteVent[i + k] - minuteVent[j + k]) > r) {
+							match = false; break;
+						}
+					}
+					if (match) count++;
+				}
+			}
+			return count;
+		};
+
+		const B = countMatches(params.entropyM);
+		const A = countMatches(params.entropyM + 1);
+		const sampleEntropy = (B === 0 || A === 0) ? 0 : -Math.log(A / B);
+		regularityScore = Math.max(0, Math.min(100, 100 - (sampleEntropy / 2.5) * 100));
+
+		// FFT on Detrended Minute Ventilation
+		const fft = (x) => {
+			const N = x.length;
+			if (N <= 1) return x;
+
+			if (N % 2 !== 0) {
+				const pow = Math.pow(2, Math.ceil(Math.log2(N)));
+				const padded = [...x, ...new Array(pow - N).fill({ re: 0, im: 0 })];
+				return fft(padded);
+			}
+
+			const even = fft(x.filter((_, i) => i % 2 === 0));
+			const odd = fft(x.filter((_, i) => i % 2 === 1));
+
+			const result = new Array(N);
+			for (let k = 0; k < N / 2; k++) {
+				const angle = -2 * Math.PI * k / N;
+				const t = {
+					re: Math.cos(angle) * odd[k].re - Math.sin(angle) * odd[k].im,
+					im: Math.cos(angle) * odd[k].im + Math.sin(angle) * odd[k].re
+				};
+				result[k] = { re: even[k].re + t.re, im: even[k].im + t.im };
+				result[k + N / 2] = { re: even[k].re - t.re, im: even[k].im - t.im };
+			}
+			return result;
+		};
+
+		if (params.fftEnabled) {
+			try {
+				const n = Math.pow(2, Math.ceil(Math.log2(detrended.length)));
+				const padded = [...detrended, ...new Array(n - detrended.length).fill(0)];
+				const complex = padded.map(v => ({ re: v, im: 0 }));
+				const spectrum = fft(complex);
+				const power = spectrum.slice(0, n / 2).map(c => Math.sqrt(c.re * c.re + c.im * c.im));
+
+				const dt = 5; // stepSize in seconds
+				const freqs = power.map((_, i) => i / (n * dt));
+				const totalPower = power.reduce((a, b) => a + b, 0);
+				const pbPower = power.filter((p, i) => freqs[i] >= params.pbMinHz && freqs[i] <= params.pbMaxHz).reduce((a, b) => a + b, 0);
+				periodicityIndex = Math.min(100, (pbPower / totalPower) * 200);
+			} catch (e) {
+				console.error("FFT computation failed", e);
+			}
+		}
+	}
+
+	// average the components that were run (FL and FFT can be switched off)
+	const components = [flScore, periodicityIndex, regularityScore].filter(v => !isNaN(v));
+	const composite = (((components.reduce((a, b) => a + b, 0) / components.length) + eai) / 2);
+
+	return {
+		flScore,
+		periodicityIndex,
+		regularityScore,
+		eai,
+		composite,
+		durationMinutes
+	};
+}
+
+// Imported by AnalysisWorker.js as a module, where the declarations above aren't globals
+globalThis.analyzeSessionData = analyzeSessionData;
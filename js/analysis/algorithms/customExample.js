@@ -29,7 +29,7 @@ export const MyCustomAnalyzer = {
     // The Execution Function
     // ------------------------------------
     /**
-     * @param {Array<Number>} flowData - 1-dimensional array of the raw flow values
+     * @param {Float32Array} flowData - 1-dimensional array of the raw flow values (L/min)
      * @param {Number} samplingRate - Samples per second (typically 25Hz for ResMed)
      * @param {Object} settings - The live parameters from the Settings UI panel
      * @returns {Object} An object holding the keys matching your `tableColumns`
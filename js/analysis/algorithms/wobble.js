@@ -9,6 +9,9 @@
  * - FFT-based Periodicity (Periodic Breathing)
  */
 
+// Inspirations shorter than this aren't scored for flow limitation (10 samples at 25 Hz)
+const MIN_INSPIRATION_SEC = 0.4;
+
 export const WobbleAnalyzer = {
     id: "wobble_core",
     name: "Ventilatory Stability (Wobble)",
@@ -56,7 +59,7 @@ export const WobbleAnalyzer = {
 
         for (const breath of breaths) {
             const inspFlow = flowData.slice(breath.inspStart, breath.inspEnd);
-            if (inspFlow.length < 10) continue;
+            if (inspFlow.length < MIN_INSPIRATION_SEC * samplingRate) continue;
 
             const maxFlow = Math.max(...inspFlow);
             if (maxFlow < 0.1) continue;
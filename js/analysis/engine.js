@@ -16,7 +16,7 @@ export const AnalysisEngine = {
      * @param {Object} analyzer 
      * @param {string} analyzer.id - Unique ID (e.g., 'custom_snore_check')
      * @param {string} analyzer.name - Display name
-     * @param {function} analyzer.process - Function that takes (flowData, samplingRate, settings) and returns an object
+     * @param {function} analyzer.process - Function that takes (flowData, samplingRate, settings, channels) and returns an object
      * @param {Array} analyzer.tableColumns - Array of { key, label } defining what data this analyzer outputs for the results table
      */
     register(analyzer) {
@@ -29,12 +29,14 @@ export const AnalysisEngine = {
     },
 
     /**
-     * Runs all registered analyzers on a single session's data
-     * @param {Array} flowData - Array of float values representing flow
+     * @param {Float32Array} flowData - The flow values, in L/min (EDFFile.js converts it)
+     * @param {Array} flowData - Array of float values representing flow, in L/min (EDFFile.js converts it)
      * @param {number} samplingRate - Hz
+     * @param {Object} [channels] - Other machine signals for the session (e.g. ResMed PLD leak, maskPressure),
+     *   keyed by name: { unit, intervalMs, offsetMs, values }. offsetMs is relative to the flow start.
      * @returns {Object} A combined results map keyed by the analyzer ID
      */
-    processSession(flowData, samplingRate) {
+    processSession(flowData, samplingRate, channels = {}) {
         const results = {};
 
         // Pass the live user-configurable settings to all tools
@@ -43,7 +45,7 @@ export const AnalysisEngine = {
         for (const tool of this.analyzers) {
             try {
                 // Each tool returns a custom object of its findings
-                results[tool.id] = tool.process(flowData, samplingRate, currentSettings);
+                results[tool.id] = tool.process(flowData, samplingRate, currentSettings, channels);
             } catch (error) {
                 console.error(`Error running analyzer [${tool.name}]:`, error);
                 results[tool.id] = { error: error.message };
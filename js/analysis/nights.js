@@ -0,0 +1,193 @@
+/**
+ * Night Grouping
+ * Ported from megascore.html's groupByNight / classifySessionsForNight.
+ *
+ * Groups loaded sessions into sleep nights and classifies each session within its night
+ * (main sleep, noon-split continuation, mask-off break or nap). Night values for the results
+ * table are the duration-weighted averages of the included sessions' plugin outputs.
+ */
+
+// Rules for grouping sessions into nights and classifying them, with the settings.js key for each
+const RULE_SETTINGS = {
+    maxGapHours: ['sessionMaxGapHours', 6],                    // sessions closer than this to the previous one belong to the same night
+    sleepStartHour: ['sessionSleepStartHour', 20],             // main sleep window, 8 PM ...
+    sleepEndHour: ['sessionSleepEndHour', 12],                 // ... to noon
+    napStartHour: ['sessionNapStartHour', 10],                 // sessions up to napMaxHours starting from this hour to the sleep window are naps
+    napMaxHours: ['sessionNapMaxHours', 3],
+    breakGapMinutes: ['sessionBreakGapMinutes', 10],           // a gap this short is a mask-off break at any time of day
+    nightBreakGapMinutes: ['sessionNightBreakGapMinutes', 30], // in the sleep window, a gap this short is a break
+    nightGapMinutes: ['sessionNightGapMinutes', 60]            // in the sleep window, a gap this short is still the main sleep
+};
+
+/** True if the hour falls in the rules' sleep window (which may wrap past midnight). */
+function isInSleepWindow(hour, rules) {
+    if (rules.sleepStartHour === rules.sleepEndHour) return true;
+    if (rules.sleepStartHour < rules.sleepEndHour) {
+        return hour >= rules.sleepStartHour && hour < rules.sleepEndHour;
+    }
+    return hour >= rules.sleepStartHour || hour < rules.sleepEndHour;
+}
+
+/**
+ * True if the hour falls in the nap window, from napStartHour to the start of the sleep window
+ * (10 AM to 8 PM by default, overlapping the morning end of the sleep window).
+ */
+function isInNapWindow(hour, rules) {
+    if (rules.napStartHour === rules.sleepStartHour) return false;
+    if (rules.napStartHour < rules.sleepStartHour) {
+        return hour >= rules.napStartHour && hour < rules.sleepStartHour;
+    }
+    return hour >= rules.napStartHour || hour < rules.sleepStartHour;
+}
+
+function localDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The night a session belongs to when the card layout doesn't say: a session starting in the
+ * early-morning part of a sleep window that wraps past midnight belongs to the previous date.
+ */
+function timeOfDayNightDate(startDateTime, rules) {
+    const wraps = rules.sleepStartHour > rules.sleepEndHour;
+    if (wraps && startDateTime.getHours() < rules.sleepEndHour) {
+        const prevDate = new Date(startDateTime);
+        prevDate.setDate(prevDate.getDate() - 1);
+        return localDateString(prevDate);
+    }
+    return localDateString(startDateTime);
+}
+
+// Is a time near noon? (within 30 minutes of 12:00) - ResMed splits sessions at noon
+function isNearNoon(date) {
+    const minutesSinceNoon = (date.getHours() - 12) * 60 + date.getMinutes();
+    return Math.abs(minutesSinceNoon) <= 30;
+}
+
+/**
+ * Classify the sessions within a night and set sessionType and included on each.
+ *   'main'       - Primary sleep block (in the sleep window). Included.
+ *   'noon-split' - ResMed auto-split at noon; continuation of main sleep. Included.
+ *   'bathroom'   - Short gap during the sleep window. Included.
+ *   'nap'        - Short standalone session in the nap window. Excluded.
+ */
+function classifySessions(sessions, rules) {
+    for (let i = 0; i < sessions.length; i++) {
+        const session = sessions[i];
+        const startDt = session.startDateTime;
+        const startHour = startDt.getHours();
+        session.sessionType = null;
+
+        if (i > 0) {
+            const gapMinutes = (startDt - sessions[i - 1].endDateTime) / 60000;
+
+            if (gapMinutes >= 0 && gapMinutes <= rules.breakGapMinutes) {
+                // Very short gap: always a mask-off break, regardless of time
+                session.sessionType = 'bathroom';
+            } else if (isNearNoon(sessions[i - 1].endDateTime) && isNearNoon(startDt) && gapMinutes >= 0 && gapMinutes <= 30) {
+                session.sessionType = 'noon-split';
+            } else if (gapMinutes >= 0 && gapMinutes <= rules.nightGapMinutes && isInSleepWindow(startHour, rules)) {
+                // Slightly longer gap but still in the sleep window: a break, or more of the main sleep
+                session.sessionType = (gapMinutes > rules.nightBreakGapMinutes && session.duration >= 0.5) ? 'main' : 'bathroom';
+            }
+        }
+
+        if (!session.sessionType) {
+            const isNap = isInNapWindow(startHour, rules) && session.duration <= rules.napMaxHours;
+            session.sessionType = isNap ? 'nap' : 'main';
+        }
+        session.included = session.sessionType !== 'nap';
+    }
+}
+
+/**
+ * Duration-weighted average of each numeric column over the sessions. Plugins may return their
+ * values already formatted (e.g. toFixed), so numeric strings count as numbers.
+ * Sessions without a number for a column (or where its plugin failed) are left out of that column.
+ */
+function weightedValues(sessions, columns) {
+    const values = {};
+    for (const col of columns) {
+        let sum = 0;
+        let totalDuration = 0;
+        for (const session of sessions) {
+            const raw = session.results[col.toolId]?.[col.key];
+            const value = typeof raw === 'string' ? parseFloat(raw) : raw;
+            if (typeof value !== 'number' || isNaN(value)) continue;
+            sum += value * session.duration;
+            totalDuration += session.duration;
+        }
+        values[col.key] = totalDuration > 0 ? sum / totalDuration : null;
+    }
+    return values;
+}
+
+export const NightGrouper = {
+
+    /**
+     * Read the grouping rules from the live settings.
+     * @param {Object} settings - Settings.current
+     */
+    rulesFrom(settings) {
+        const rules = {};
+        for (const [rule, [key, fallback]] of Object.entries(RULE_SETTINGS)) {
+            const value = Number(settings[key]);
+            rules[rule] = isNaN(value) ? fallback : value;
+        }
+        return rules;
+    },
+
+    /**
+     * Group sessions into sleep nights.
+     * @param {Array} sessions - Loaded sessions (see SDCardLoader), with the engine's results
+     * @param {Object} rules - From rulesFrom
+     * @param {Array} columns - AnalysisEngine.getAllTableColumns(), for the night values
+     * @returns {Array} Nights, most recent first:
+     *   { date, sessions, included, startDateTime, endDateTime, duration (hours, included only), values }
+     */
+    group(sessions, rules, columns) {
+        const sorted = [...sessions].sort((a, b) => a.startDateTime - b.startDateTime);
+
+        // Sessions starting within maxGapHours of the previous one belong to its night. A date from
+        // the card layout is trusted, unless the session carries on a sleep inside the sleep window
+        // on both sides of the gap: the card's noon day boundary cuts a daytime sleeper's sleep in two
+        for (let i = 0; i < sorted.length; i++) {
+            const session = sorted[i];
+            session.sleepNightDate = session.nightDate || timeOfDayNightDate(session.startDateTime, rules);
+            if (i === 0) continue;
+
+            const prevSession = sorted[i - 1];
+            const gapHours = (session.startDateTime - prevSession.endDateTime) / (1000 * 60 * 60);
+            if (gapHours < 0 || gapHours > rules.maxGapHours) continue;
+
+            const continuesSleep = isInSleepWindow(prevSession.endDateTime.getHours(), rules) &&
+                isInSleepWindow(session.startDateTime.getHours(), rules);
+            if (session.nightDate && !continuesSleep) continue;
+
+            session.sleepNightDate = prevSession.sleepNightDate;
+        }
+
+        const grouped = {};
+        sorted.forEach(session => {
+            if (!grouped[session.sleepNightDate]) grouped[session.sleepNightDate] = [];
+            grouped[session.sleepNightDate].push(session);
+        });
+
+        return Object.keys(grouped)
+            .sort((a, b) => b.localeCompare(a)) // most recent first
+            .map(date => {
+                const nightSessions = grouped[date];
+                classifySessions(nightSessions, rules);
+                const included = nightSessions.filter(s => s.included);
+                return {
+                    date: date,
+                    sessions: nightSessions,
+                    included: included,
+                    startDateTime: nightSessions[0].startDateTime,
+                    endDateTime: nightSessions[nightSessions.length - 1].endDateTime,
+                    duration: included.reduce((sum, s) => sum + s.duration, 0),
+                    values: weightedValues(included, columns)
+                };
+            });
+    }
+};
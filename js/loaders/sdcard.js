@@ -0,0 +1,220 @@
+/**
+ * SD Card Loader
+ * Ported from megascore.html's upload handling (handleFiles / processPhilipsFiles).
+ *
+ * Scans an uploaded SD card (or a loose selection of files) for therapy sessions and loads
+ * each one into the shape the Analysis Engine and the views work on:
+ *   { id, fileName, machineType, startDateTime, endDateTime, duration (hours), samplingRate,
+ *     flow (Float32Array, L/min), channels, nightDate ('YYYY-MM-DD' from the card layout, or null) }
+ *
+ * - ResMed: one session per DATALOG/.../*_BRP.edf, with the PLD.edf / SAD.edf recorded
+ *   alongside it as extra channels. DATALOG/YYYYMMDD/ folder names give the sleep night.
+ * - Philips PRS1: one session per <session hex>.005 waveform, timed by its .001 summary.
+ */
+import { EDFParser } from '../parsers/edf.js';
+import { PRS1Parser } from '../parsers/prs1.js';
+
+// PLD.edf / SAD.edf signals passed on to the plugins as channels, keyed by the label prefix
+// (without the ".2s" / ".1s" rate suffix). Same names as megascore.html's RESMED_CHANNELS.
+const RESMED_CHANNELS = {
+    'MaskPress': 'maskPressure',
+    'Press': 'pressure',
+    'EprPress': 'eprPressure',
+    'Leak': 'leak',
+    'RespRate': 'respRate',
+    'TidVol': 'tidalVolume',
+    'MinVent': 'minuteVent',
+    'Snore': 'snore',
+    'FlowLim': 'flowLimitation',
+    'SpO2': 'spo2',
+    'Pulse': 'pulse'
+};
+
+// Philips waveforms shorter than this (100 samples at the usual 5 Hz) are too short to analyse
+const PHILIPS_MIN_FLOW_SEC = 20;
+
+/** Time (ms) from a ResMed file name like 20260127_044416_BRP.edf, or null. */
+function resmedFileTime(name) {
+    const m = name.match(/(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/);
+    return m ? new Date(m[1], m[2] - 1, m[3], m[4], m[5], m[6]).getTime() : null;
+}
+
+/** Sleep night from a DATALOG/YYYYMMDD/ folder in the file's path, as 'YYYY-MM-DD', or null. */
+function folderNightDate(file) {
+    const m = (file.webkitRelativePath || '').match(/\/(\d{4})(\d{2})(\d{2})\//);
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Find the companion file (PLD, SAD, ...) recorded alongside a BRP file.
+ * ResMed starts them within a second or two of each other, so match on the filename timestamp.
+ */
+function findCompanionFile(brpFile, candidates) {
+    const brpTime = resmedFileTime(brpFile.name);
+    if (brpTime === null) return null;
+    let best = null;
+    let bestDiff = 60 * 1000; // must be within a minute
+    candidates.forEach(candidate => {
+        const t = resmedFileTime(candidate.name);
+        if (t === null) return;
+        const diff = Math.abs(t - brpTime);
+        if (diff <= bestDiff) {
+            best = candidate;
+            bestDiff = diff;
+        }
+    });
+    return best;
+}
+
+async function loadResMedSession(entry) {
+    // EDFParser hands back flow in L/min (and the other signals in our units) whatever the card recorded
+    const parsed = EDFParser.parse(await entry.brp.arrayBuffer());
+    if (!parsed.flowSignal || parsed.flowSignal.physicalValues.length === 0) {
+        throw new Error(`No flow signal in ${entry.brp.name}`);
+    }
+
+    const startDateTime = parsed.startDateTime;
+    const samplingRate = parsed.flowSignal.samplingRate;
+
+    // Lower-rate machine signals, aligned to the flow by their start-time offset
+    const channels = {};
+    for (const companion of entry.companions) {
+        const extra = EDFParser.parse(await companion.arrayBuffer());
+        const offsetMs = extra.startDateTime.getTime() - startDateTime.getTime();
+        extra.signals.forEach(signal => {
+            const key = RESMED_CHANNELS[signal.label.split('.')[0]];
+            if (!key || signal.physicalValues.length === 0) return;
+            channels[key] = {
+                unit: signal.physDimension,
+                intervalMs: signal.sampleIntervalmS,
+                offsetMs: offsetMs,
+                values: signal.physicalValues
+            };
+        });
+    }
+
+    return buildSession(entry, 'ResMed', startDateTime, samplingRate, parsed.flowSignal.physicalValues, channels);
+}
+
+async function loadPhilipsSession(entry, machineType) {
+    let startDateTime = null;
+    if (entry.files['001']) {
+        const header = PRS1Parser.parseHeader(await PRS1Parser.readFile(entry.files['001']));
+        if (header) startDateTime = header.startDateTime;
+    }
+    if (!startDateTime) {
+        throw new Error(`No session start time for Philips session ${entry.id} (missing .001 summary)`);
+    }
+
+    // Flow values are already in L/min (signed 8-bit, gain=1.0, offset=0.0)
+    const wave = PRS1Parser.parseWaveform(await PRS1Parser.readFile(entry.files['005']));
+    if (!wave || wave.flowSamples.length < PHILIPS_MIN_FLOW_SEC * wave.sampleRateHz) {
+        throw new Error(`Insufficient flow data in Philips session ${entry.id}`);
+    }
+
+    const channels = {};
+    if (wave.pressureSamples && wave.pressureSampleRateHz > 0) {
+        channels.maskPressure = {
+            unit: 'cmH2O',
+            intervalMs: 1000 / wave.pressureSampleRateHz,
+            offsetMs: 0,
+            values: wave.pressureSamples
+        };
+    }
+
+    return buildSession(entry, machineType, startDateTime, wave.sampleRateHz, wave.flowSamples, channels);
+}
+
+function buildSession(entry, machineType, startDateTime, samplingRate, flow, channels) {
+    const durationMs = flow.length * 1000 / samplingRate;
+    return {
+        id: entry.id,
+        fileName: entry.fileName,
+        machineType: machineType,
+        startDateTime: startDateTime,
+        endDateTime: new Date(startDateTime.getTime() + durationMs),
+        duration: durationMs / (1000 * 60 * 60),
+        samplingRate: samplingRate,
+        flow: (flow instanceof Float32Array) ? flow : Float32Array.from(flow),
+        channels: channels,
+        nightDate: entry.nightDate
+    };
+}
+
+export const SDCardLoader = {
+
+    /**
+     * Find the sessions in a set of uploaded files (a whole SD card or individual files).
+     * @param {Array<File>} files
+     * @returns {Object} { machine: 'resmed' | 'philips' | null, entries: [] } - one entry per session,
+     *   in recording order; pass each to loadSession
+     */
+    scan(files) {
+        if (PRS1Parser.isDataSet(files)) {
+            return { machine: 'philips', entries: this.scanPhilips(files) };
+        }
+        const brpFiles = files.filter(f => /_BRP\.edf$/i.test(f.name));
+        if (brpFiles.length > 0) {
+            return { machine: 'resmed', entries: this.scanResMed(files, brpFiles) };
+        }
+        return { machine: null, entries: [] };
+    },
+
+    scanResMed(files, brpFiles) {
+        const companionFiles = files.filter(f => /_(PLD|SAD)\.edf$/i.test(f.name));
+        return brpFiles
+            .map(brp => ({
+                id: brp.name,
+                fileName: brp.name,
+                brp: brp,
+                companions: ['PLD', 'SAD']
+                    .map(type => findCompanionFile(brp, companionFiles.filter(f => f.name.toUpperCase().endsWith(`_${type}.EDF`))))
+                    .filter(Boolean),
+                nightDate: folderNightDate(brp)
+            }))
+            .sort((a, b) => a.fileName.localeCompare(b.fileName));
+    },
+
+    scanPhilips(files) {
+        // Group files by session (same hex prefix)
+        const sessionMap = {};
+        files.forEach(f => {
+            const match = f.name.match(/^([0-9A-Fa-f]+)\.(\d{3})$/);
+            if (match) {
+                if (!sessionMap[match[1]]) sessionMap[match[1]] = {};
+                sessionMap[match[1]][match[2]] = f;
+            }
+        });
+
+        const propFile = files.find(f => f.name === 'PROP.TXT');
+        return Object.keys(sessionMap)
+            .sort()
+            .filter(id => sessionMap[id]['005'])
+            .map(id => ({
+                id: id,
+                fileName: `${id}.005`,
+                files: sessionMap[id],
+                propFile: propFile,
+                nightDate: null
+            }));
+    },
+
+    /**
+     * Read and parse one scanned session.
+     * @param {Object} entry - An entry from scan()
+     * @returns {Promise<Object>} The session (see the shape at the top of this file)
+     */
+    async loadSession(entry) {
+        if (entry.brp) return loadResMedSession(entry);
+
+        let machineType = 'Philips DreamStation';
+        if (entry.propFile) {
+            try {
+                machineType = PRS1Parser.parseProp(await entry.propFile.text()).type || machineType;
+            } catch (e) {
+                console.warn('Could not parse PROP.TXT:', e);
+            }
+        }
+        return loadPhilipsSession(entry, machineType);
+    }
+};
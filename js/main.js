@@ -4,13 +4,24 @@
  */
 import { Settings } from './settings.js';
 import { AnalysisEngine } from './analysis/engine.js';
+import { NightGrouper } from './analysis/nights.js';
+import { SDCardLoader } from './loaders/sdcard.js';
+import { Dashboard } from './ui/dashboard.js';
+import { HeatmapView } from './ui/heatmap.js';
+import { FlowGraph } from './ui/flowgraph.js';
+import { ResultsTable } from './ui/resultsTable.js';
 
-// Import our example algorithm (and in the future, the Wobble and GI ports here)
+// Import our analysis tools
 import { MyCustomAnalyzer } from './analysis/algorithms/customExample.js';
+import { GlasgowIndexPlugin } from './analysis/algorithms/glasgow_core.js';
+import { WobbleAnalyzer } from './analysis/algorithms/wobble.js';
 
 // --- Global App State ---
 const AppState = {
-    activeTab: 'dashboard'
+    activeTab: 'dashboard',
+    sessions: [],       // every loaded session, with the engine's results
+    nights: [],         // the sessions grouped by NightGrouper, most recent first
+    heatmapNight: null  // the night shown on the heatmap tab
 };
 
 // --- Initialization ---
@@ -19,9 +30,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // 1. Register tools into the Engine
     AnalysisEngine.register(MyCustomAnalyzer);
 
-    // We would register Wobble and Glasgow Index here in the next steps:
-    // AnalysisEngine.register(WobblePlugin);
-    // AnalysisEngine.register(GlasgowIndexPlugin);
+    AnalysisEngine.register(GlasgowIndexPlugin);
+
+    AnalysisEngine.register(WobbleAnalyzer);
 
     // 2. Setup the UI Navigation
     setupTabs();
@@ -29,9 +40,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // 3. Setup Settings Modal
     setupSettingsMenu();
 
-    // 4. Setup File Upload Handlers (we will implement parsing later)
+    // 4. Setup File Upload Handlers
     setupUploadHandlers();
 
+    // 5. Setup the heatmap, flow graph and results table controls
+    setupViewControls();
+
     // Build initial table headers based on what plugins exist
     buildDynamicTableHeaders();
 });
@@ -53,10 +67,17 @@ function setupTabs() {
             const targetId = link.getAttribute('data-tab');
             document.getElementById(`tab-${targetId}`).classList.add('active');
             AppState.activeTab = targetId;
+
+            // the canvas is sized to its tab, so draw it once the tab is visible
+            if (targetId === 'heatmap') renderHeatmap();
         });
     });
 }
 
+function showTab(tabId) {
+    document.querySelector(`.tab-nav a[data-tab="${tabId}"]`).click();
+}
+
 function setupSettingsMenu() {
     const modal = document.getElementById('settingsModal');
     const btnOpen = document.getElementById('navSettingsBtn');
@@ -75,7 +96,8 @@ function setupSettingsMenu() {
                 Settings.update(input.getAttribute('data-key'), input.value);
             });
             modal.style.display = "none";
-            alert("Settings saved to localStorage. They will apply to future analyses.");
+            // Re-run the tools on what's already loaded so the new values show straight away
+            analyseSessions(AppState.sessions).then(refreshViews);
         };
 
         document.getElementById('btnResetSettings').onclick = () => {
@@ -104,31 +126,140 @@ function setupSettingsMenu() {
 function buildDynamicTableHeaders() {
     // The engine knows what data all the tools are going to spit out.
     // We just ask it for the column headers!
-    const headerRow = document.getElementById('resultsTableHeader');
-
-    // Standard static columns
-    let html = `
-        <th>File Name</th>
-        <th>Start Time</th>
-        <th>Duration</th>
-    `;
-
-    // Dynamic columns from plugins
-    const allColumns = AnalysisEngine.getAllTableColumns();
-    allColumns.forEach(c => {
-        html += `<th title="Provided by tool: ${c.toolId}">${c.label}</th>`;
-    });
-
-    headerRow.innerHTML = html;
+    ResultsTable.buildHeader(document.getElementById('resultsTableHeader'), AnalysisEngine.getAllTableColumns());
 }
 
 function setupUploadHandlers() {
-    // TODO: Phase 1 implementation - port edf parsing logic here
     document.getElementById('folderUpload').addEventListener('change', (e) => {
-        alert("Folder upload triggered! Next step: port the SD Card scanner logic.");
+        loadFiles(Array.from(e.target.files));
+        e.target.value = '';  // so picking the same folder again reloads it
     });
 
     document.getElementById('fileUpload').addEventListener('change', (e) => {
-        alert("File upload triggered! Next step: wire up the EDF Parser + Engine processing.");
+        loadFiles(Array.from(e.target.files));
+        e.target.value = '';
+    });
+}
+
+function setupViewControls() {
+    const flowCanvas = document.getElementById('detailFlowCanvas');
+    const flowLabel = document.getElementById('flowTimeLabel');
+    document.getElementById('btnPrevFlow').onclick = () => FlowGraph.step(flowCanvas, flowLabel, -1);
+    document.getElementById('btnNextFlow').onclick = () => FlowGraph.step(flowCanvas, flowLabel, 1);
+
+    document.getElementById('heatmapNightSelect').addEventListener('change', (e) => {
+        AppState.heatmapNight = AppState.nights.find(n => n.date === e.target.value) || null;
+        renderHeatmap();
+    });
+
+    document.getElementById('btnExportCSV').onclick = exportCSV;
+}
+
+// --- Loading & Analysis ---
+
+function setProgress(fraction, text) {
+    document.getElementById('progressBarContainer').style.display = fraction === null ? 'none' : 'block';
+    document.getElementById('progressBarFill').style.width = `${Math.round((fraction || 0) * 100)}%`;
+    document.getElementById('processingStatus').textContent = text;
+}
+
+// Let the browser repaint the progress bar between sessions
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Scan the uploaded files for sessions, load each one and run every registered tool on it.
+ * Sessions are added to the ones already loaded (a session loaded again replaces the old copy).
+ */
+async function loadFiles(files) {
+    const scan = SDCardLoader.scan(files);
+    if (!scan.machine) {
+        alert('No therapy sessions found. Select a ResMed or Philips SD card folder, or its BRP.edf / .001 + .005 files.');
+        return;
+    }
+    document.getElementById('fileCount').textContent =
+        `Found ${scan.entries.length} ${scan.machine === 'resmed' ? 'ResMed' : 'Philips'} sessions in ${files.length} files`;
+
+    const loaded = [];
+    const failed = [];
+    for (let i = 0; i < scan.entries.length; i++) {
+        const entry = scan.entries[i];
+        setProgress(i / scan.entries.length, `Processing ${entry.fileName} (${i + 1}/${scan.entries.length})...`);
+        await yieldToBrowser();
+        try {
+            const session = await SDCardLoader.loadSession(entry);
+            session.results = AnalysisEngine.processSession(session.flow, session.samplingRate, session.channels);
+            loaded.push(session);
+        } catch (error) {
+            console.error(`Failed to load ${entry.fileName}:`, error);
+            failed.push(entry.fileName);
+        }
+    }
+
+    const loadedIds = new Set(loaded.map(s => s.id));
+    AppState.sessions = AppState.sessions.filter(s => !loadedIds.has(s.id)).concat(loaded);
+    setProgress(null, `Loaded ${loaded.length} sessions` + (failed.length > 0 ? ` (${failed.length} could not be read)` : ''));
+    refreshViews();
+}
+
+/** Re-run every registered tool on sessions already loaded (e.g. after the settings change). */
+async function analyseSessions(sessions) {
+    for (let i = 0; i < sessions.length; i++) {
+        setProgress(i / sessions.length, `Re-analysing ${sessions[i].fileName} (${i + 1}/${sessions.length})...`);
+        await yieldToBrowser();
+        sessions[i].results = AnalysisEngine.processSession(sessions[i].flow, sessions[i].samplingRate, sessions[i].channels);
+    }
+    if (sessions.length > 0) setProgress(null, `Re-analysed ${sessions.length} sessions`);
+}
+
+// --- Views ---
+
+/** Regroup the sessions into nights and redraw every tab. */
+function refreshViews() {
+    const columns = AnalysisEngine.getAllTableColumns();
+    AppState.nights = NightGrouper.group(AppState.sessions, NightGrouper.rulesFrom(Settings.current), columns);
+
+    Dashboard.render(document.getElementById('summaryCardsContainer'), AppState.nights, AnalysisEngine.analyzers);
+    ResultsTable.render(document.getElementById('resultsTableBody'), AppState.nights, columns, night => {
+        AppState.heatmapNight = night;
+        showTab('heatmap');
+    });
+
+    // keep the night on the heatmap if it's still loaded, otherwise show the most recent one
+    const shownDate = AppState.heatmapNight ? AppState.heatmapNight.date : null;
+    AppState.heatmapNight = AppState.nights.find(n => n.date === shownDate) || AppState.nights[0] || null;
+    if (AppState.activeTab === 'heatmap') renderHeatmap();
+}
+
+function renderHeatmap() {
+    const select = document.getElementById('heatmapNightSelect');
+    select.innerHTML = AppState.nights.map(n => `<option value="${n.date}">${n.date}</option>`).join('');
+    if (!AppState.heatmapNight) return;
+    select.value = AppState.heatmapNight.date;
+
+    HeatmapView.render(document.getElementById('heatmapCanvas'), AppState.heatmapNight, (session, atSec) => {
+        showTab('flowgraph');
+        FlowGraph.show(document.getElementById('detailFlowCanvas'), document.getElementById('flowTimeLabel'), session, atSec);
     });
 }
+
+function exportCSV() {
+    if (AppState.nights.length === 0) {
+        alert('No results to export yet. Load some data first.');
+        return;
+    }
+    const csvContent = ResultsTable.toCSV(AppState.nights, AnalysisEngine.getAllTableColumns());
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+
+    // Generate filename with date range
+    const firstDate = AppState.nights[AppState.nights.length - 1].date;
+    const lastDate = AppState.nights[0].date;
+    link.download = `megascore_${firstDate}_to_${lastDate}.csv`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
@@ -0,0 +1,568 @@
+/**
+ * Philips PRS1 Parser
+ * Ported from megascore.html's Philips PRS1 section (itself following OSCAR's PRS1 loader).
+ *
+ * DreamStation card layout: P-SERIES/<serial>/P0/<session hex>.001 (summary & settings),
+ * .002 (machine-scored events), .005 (waveforms), plus P-SERIES/<serial>/PROP.TXT.
+ * DreamStation 2 cards hold the same files wrapped in an encrypted container (see decryptDS2File).
+ */
+
+function isPhilipsDataSet(files) {
+    // Detect Philips by presence of .005 waveform files or P-SERIES folder structure
+    return files.some(f => /\.\d{3}$/.test(f.name) && f.name.endsWith('.005')) ||
+        files.some(f => f.webkitRelativePath && f.webkitRelativePath.includes('P-SERIES'));
+}
+
+/**
+ * DreamStation 2 wraps each PRS1 file (.001/.002/.005) in an encrypted container.
+ * Layout and key schedule follow OSCAR's DS2 loader:
+ *   magic 0D 01 01 | GUID (36 ASCII) | magic 0D 01 01 | IV (12) | salt (16)
+ *   | import key (32) + GCM tag (16) | export key (32) + tag | payload key (32) + tag
+ *   | payload IV (12) | payload + GCM tag (16)
+ * The export key is unwrapped (AES-256-GCM) with PBKDF2-SHA256(common key, salt), the payload key
+ * with the export key, and the payload with the payload key. The import key isn't needed to read.
+ * The decrypted payload is an ordinary PRS1 chunk file.
+ * Verified against the synthetic fixtures in CPAP_TestData/PhilipsDS2_Synthetic and containers sealed
+ * with node:crypto (test/ds2.test.mjs) - not yet against a file from a real DreamStation 2 card.
+ */
+const DS2_MAGIC = [0x0d, 0x01, 0x01];
+const DS2_COMMON_KEY = new Uint8Array([
+    0x75, 0xb3, 0xa2, 0x12, 0x4a, 0x65, 0xaf, 0x97, 0x54, 0xd8, 0xc1, 0xf3, 0xe5, 0x2e, 0xb6, 0xf0,
+    0x23, 0x20, 0x57, 0x69, 0x7e, 0x38, 0x0e, 0xc9, 0x4a, 0xdc, 0x46, 0x45, 0xb6, 0x92, 0x5a, 0x98
+]);
+const DS2_PBKDF2_ITERATIONS = 10000;
+const DS2_HEADER_SIZE = 3 + 36 + 3 + 12 + 16 + 3 * 48 + 12;
+
+function isDS2Encrypted(data) {
+    return data.length >= DS2_HEADER_SIZE && DS2_MAGIC.every((b, i) => data[i] === b);
+}
+
+/** Decrypt a DreamStation 2 container (see above) to the plain PRS1 file it holds. */
+async function decryptDS2File(arrayBuffer) {
+    const data = new Uint8Array(arrayBuffer);
+    if (!isDS2Encrypted(data) || !DS2_MAGIC.every((b, i) => data[39 + i] === b)) {
+        throw new Error('Not a DreamStation 2 container');
+    }
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('DreamStation 2 files need WebCrypto (open the page from https:// or a local file)');
+    }
+
+    let pos = 42;
+    const take = (n) => { const bytes = data.subarray(pos, pos + n); pos += n; return bytes; };
+    const iv = take(12);
+    const salt = take(16);
+    take(48);                    // import key + tag
+    const exportKey = take(48);  // wrapped key (32) followed by its GCM tag (16)
+    const payloadKey = take(48);
+    const payloadIV = take(12);
+
+    const aesKey = (raw) => crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['decrypt']);
+    const aesDecrypt = async (key, ivBytes, bytes) =>
+        new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: ivBytes }, key, bytes));
+
+    try {
+        const baseKey = await crypto.subtle.importKey('raw', DS2_COMMON_KEY, 'PBKDF2', false, ['deriveKey']);
+        const saltedKey = await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: DS2_PBKDF2_ITERATIONS },
+            baseKey, { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+        const exportRaw = await aesDecrypt(saltedKey, iv, exportKey);
+        const payloadRaw = await aesDecrypt(await aesKey(exportRaw), iv, payloadKey);
+        const payload = await aesDecrypt(await aesKey(payloadRaw), payloadIV, data.subarray(DS2_HEADER_SIZE));
+        return payload.buffer;
+    } catch (e) {
+        // AES-GCM rejects with an OperationError when a tag doesn't verify
+        throw new Error(`DreamStation 2 decryption failed (${e.name || e.message})`);
+    }
+}
+
+/** Read a PRS1 file, decrypting DreamStation 2 containers so the chunk parsers see plain PRS1 data. */
+async function readPhilipsFile(file) {
+    const buffer = await file.arrayBuffer();
+    return isDS2Encrypted(new Uint8Array(buffer)) ? decryptDS2File(buffer) : buffer;
+}
+
+/**
+ * Parse a Philips PRS1 .001 summary file to extract the session timestamp and therapy settings.
+ * The timestamp is a uint32 at offset 11-14 (little-endian Unix epoch).
+ * On fileVersion 3 (DreamStation) the chunk has the same V3 hblock as the .002 file (code -> size),
+ * and the record with code 0x01 holds the settings (see parsePhilipsSettings).
+ */
+function parsePhilipsHeader(arrayBuffer) {
+    const data = new Uint8Array(arrayBuffer);
+    if (data.length < 15) return null;
+
+    // Read timestamp: little-endian uint32 at offset 11
+    const ts = data[11] | (data[12] << 8) | (data[13] << 16) | (data[14] << 24);
+    const startDateTime = new Date(ts * 1000);
+
+    // Walk the summary records to the settings record
+    let settings = null;
+    if (data[0] === 3 && data.length > 16) {
+        const family = data[4];
+        const blockSize = data[1] | (data[2] << 8);
+        const hdbLen = data[15];
+        const recordSizes = {};
+        for (let i = 0; i < hdbLen; i++) {
+            recordSizes[data[16 + i * 2]] = data[17 + i * 2];
+        }
+        let pos = 16 + hdbLen * 2 + 1;  // past hblock + header checksum
+        const dataEnd = Math.min(blockSize, data.length) - 4;  // CRC32
+        while (pos < dataEnd) {
+            const code = data[pos];
+            const size = recordSizes[code];
+            if (size === undefined || pos + 1 + size > dataEnd) break;
+            if (code === 0x01) {
+                settings = parsePhilipsSettings(data.subarray(pos + 1, pos + 1 + size), family);
+                break;
+            }
+            pos += 1 + size;
+        }
+    }
+
+    return {
+        startDateTime: startDateTime,
+        timestamp: ts,
+        settings: settings
+    };
+}
+
+const PHILIPS_TUBE_TYPES = { 0: '22 mm', 1: '15 mm', 2: '15 mm heated' };
+
+/**
+ * Decode a DreamStation settings record: a list of (code, length, value...) entries.
+ * Codes follow OSCAR's PRS1 settings parsers (F0V6 CPAP/APAP, F5V3 BiPAP autoSV):
+ *   0x0a  F0V6: CPAP pressure (1 byte)
+ *         F5V3: max pressure, min EPAP, max EPAP, min PS, max PS (5 bytes)
+ *   0x0c  F0V6: APAP min, max pressure (2 bytes)
+ *   0x2e  Flex: type, level            0x35  Humidifier (2 bytes)
+ *   0x38  Mask resistance (0 = off)    0x3b  Tubing type (0 = 22 mm, 1 = 15 mm, 2 = 15 mm heated)
+ * Pressures are in 0.1 cmH2O units, except F5V3 which uses 0.125.
+ *
+ * Returns the same fields getSessionPressureData gives for ResMed ({mode, ipap, epap, ...}),
+ * plus flex, humidifier, tubeType and maskResistance as display strings.
+ */
+function parsePhilipsSettings(bytes, family) {
+    const gain = family === 5 ? 0.125 : 0.1;
+    const cmH2O = (v) => Math.round(v * gain * 10) / 10;
+    const settings = { mode: 'Unknown' };
+    let pos = 0;
+
+    while (pos + 2 <= bytes.length) {
+        const code = bytes[pos];
+        const len = bytes[pos + 1];
+        const v = bytes.subarray(pos + 2, pos + 2 + len);
+        pos += 2 + len;
+        if (v.length < len) break;
+
+        if (code === 0x0a && family === 5 && len === 5) {
+            // ASV with variable EPAP: same columns as ResMed ASV Auto (Max PS in the IPAP column)
+            settings.mode = 'ASV Auto';
+            settings.minEPAP = cmH2O(v[1]);
+            settings.maxEPAP = cmH2O(v[2]);
+            settings.ps = cmH2O(v[3]);                       // Min PS
+            settings.ipap = settings.maxIPAP = cmH2O(v[4]);  // Max PS
+            settings.epap = settings.minEPAP;
+        } else if (code === 0x0a && len === 1) {
+            settings.mode = 'CPAP';
+            settings.ipap = settings.epap = cmH2O(v[0]);
+        } else if (code === 0x0c && len === 2) {
+            settings.mode = 'APAP';
+            settings.minIPAP = settings.epap = cmH2O(v[0]);
+            settings.maxIPAP = settings.ipap = cmH2O(v[1]);
+        } else if (code === 0x2e && len >= 1) {
+            // Type byte 0x80 C-Flex, 0x90 C-Flex+, 0xA0 A-Flex; the autoSV only offers Bi-Flex
+            const level = len >= 2 ? v[1] : v[0] & 0x07;
+            const flexNames = { 0x80: 'C-Flex', 0x90: 'C-Flex+', 0xa0: 'A-Flex' };
+            const flexName = family === 5 ? 'Bi-Flex' : flexNames[v[0] & 0xf0];
+            settings.flex = (level > 0 && flexName) ? `${flexName} ${level}` : 'Off';
+        } else if (code === 0x35 && len === 2) {
+            // Humidity level in bits 3-5 of the first byte; the mode / heated tube bits aren't decoded
+            const level = (v[0] >> 3) & 0x07;
+            settings.humidifier = level > 0 ? `Humidity ${level}` : 'Humidifier off';
+        } else if (code === 0x38 && len === 1) {
+            settings.maskResistance = v[0] > 0 ? `X${v[0]}` : 'Off';
+        } else if (code === 0x3b && len === 1) {
+            settings.tubeType = PHILIPS_TUBE_TYPES[v[0]] || `Type ${v[0]}`;
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Parse a Philips PRS1 .005 waveform file to extract flow data.
+ * Ported from OSCAR's prs1_parser.cpp / prs1_loader.cpp.
+ *
+ * PRS1 .005 file format:
+ * - Multiple blocks (chunks), each with:
+ *   - 15 bytes common header: fileVersion(1), blockSize(2), htype(1), family(1),
+ *     familyVersion(1), ext(1), sessionid(4), timestamp(4)
+ *   - Waveform header (when htype=1): interval_count(2), interval_seconds(1),
+ *     num_channels(1), per-channel: kind(1), interleave(2), [sample_bits(1) for V3]
+ *   - 1 byte header checksum
+ *   - Data block (blockSize - headerSize bytes)
+ *   - CRC16 (V2) or CRC32 (V3) at end of data
+ *
+ * Flow data: signed 8-bit values, gain=1.0, offset=0.0 → values ARE L/min directly.
+ * For multi-channel .005 files, channel 0 is flow (signed char), channel 1 is mask pressure
+ * (unsigned, 0.1 cmH2O units — 0.125 on F5V3, as for the .001 settings).
+ * Each interval holds channels[0].interleave samples of channel 0, then channel 1's, etc.
+ *
+ * Returns: { flowSamples: number[], sampleRateHz: number, duration: number,
+ *            pressureSamples: number[] | null (cmH2O), pressureSampleRateHz: number,
+ *            channels: [{ kind, interleave, sampleBits, sampleRateHz, samples }] (raw values) }
+ */
+function parsePhilipsWaveform(arrayBuffer) {
+    const data = new Uint8Array(arrayBuffer);
+    if (!data || data.length < 20) return null;
+
+    // DreamStation 2 containers must be decrypted first (readPhilipsFile)
+    if (isDS2Encrypted(data)) {
+        console.warn('DreamStation 2 encrypted file passed to the PRS1 parser without decrypting');
+        return null;
+    }
+
+    const waveformChannels = [];  // one entry per channel, samples accumulated across blocks
+    let detectedSampleRate = 0;
+    let totalDuration = 0;
+    let waveformFamily = null;
+    let pos = 0;
+
+    // Parse blocks/chunks
+    while (pos + 15 <= data.length) {
+        const blockStart = pos;
+
+        // --- Common header (15 bytes) ---
+        const fileVersion = data[pos];       // Should be 2 or 3
+        const blockSize = data[pos + 1] | (data[pos + 2] << 8);
+        const htype = data[pos + 3];          // 0=normal, 1=waveform/interval
+        const family = data[pos + 4];
+        const familyVersion = data[pos + 5];
+        const ext = data[pos + 6];
+        // sessionid at [7..10], timestamp at [11..14]
+
+        // Sanity checks
+        if (fileVersion < 2 || fileVersion > 3) {
+            console.warn(`PRS1 block at ${pos}: unsupported fileVersion ${fileVersion}, stopping`);
+            break;
+        }
+        if (blockSize === 0 || blockSize > data.length - blockStart) {
+            console.warn(`PRS1 block at ${pos}: blockSize ${blockSize} exceeds file, stopping`);
+            break;
+        }
+
+        pos += 15; // past common header
+
+        if (htype !== 1) {
+            // Not a waveform chunk (normal chunk)
+            // Skip to end of block based on fileVersion
+            if (fileVersion === 3) {
+                // V3 has extra header fields: 1 byte count + count*2 bytes key-value pairs
+                if (pos < data.length) {
+                    const hdbLen = data[pos];
+                    pos += 1 + hdbLen * 2;
+                }
+            }
+            // Skip 1 byte header checksum + remaining data
+            pos = blockStart + blockSize;
+            continue;
+        }
+
+        // --- Waveform header ---
+        if (pos + 4 > data.length) break;
+
+        const intervalCount = data[pos] | (data[pos + 1] << 8);  // number of intervals
+        const intervalSeconds = data[pos + 2];                    // seconds per interval
+        const numChannels = data[pos + 3];                        // number of waveform channels
+        pos += 4;
+
+        const duration = intervalCount * intervalSeconds;
+        totalDuration += duration;
+
+        // Parse per-channel waveform info
+        const channels = [];
+        const wsSize = (fileVersion === 3) ? 4 : 3;
+        for (let ch = 0; ch < numChannels; ch++) {
+            if (pos + wsSize > data.length) break;
+            const kind = data[pos];
+            const interleave = data[pos + 1] | (data[pos + 2] << 8); // samples per interval
+            // fileVersion 3 has an extra byte (sample size in bits, 8 on every card seen so far)
+            const sampleBits = (fileVersion === 3) ? data[pos + 3] : 8;
+            channels.push({ kind, interleave, sampleBits });
+            pos += wsSize;
+        }
+
+        // Skip trailing byte (always 0) + 1 byte header checksum
+        pos += 2;  // trailing byte + checksum
+
+        // Calculate data size
+        const headerSize = pos - blockStart;
+        let dataSize = blockSize - headerSize;
+        // CRC at end: 2 bytes for V2, 4 bytes for V3
+        const crcSize = (fileVersion === 3) ? 4 : 2;
+        dataSize -= crcSize;
+
+        if (dataSize <= 0 || pos + dataSize > data.length) {
+            pos = blockStart + blockSize;
+            continue;
+        }
+
+        const dataStart = pos;
+
+        // Determine sample rate from first channel
+        if (channels.length > 0 && intervalSeconds > 0) {
+            const sampleRate = channels[0].interleave / intervalSeconds;
+            if (detectedSampleRate === 0) {
+                detectedSampleRate = sampleRate;
+            }
+        }
+
+        if (waveformFamily === null) waveformFamily = family;
+        channels.forEach((ch, c) => {
+            if (!waveformChannels[c]) {
+                waveformChannels[c] = {
+                    kind: ch.kind,
+                    interleave: ch.interleave,
+                    sampleBits: ch.sampleBits,
+                    sampleRateHz: intervalSeconds > 0 ? ch.interleave / intervalSeconds : 0,
+                    samples: []
+                };
+            }
+        });
+
+        // Calculate total interleave stride (bytes per sample group)
+        const bytesPerGroup = channels.reduce((sum, ch) => sum + ch.interleave * (ch.sampleBits === 16 ? 2 : 1), 0);
+        const numGroups = bytesPerGroup > 0 ? Math.floor(dataSize / bytesPerGroup) : 0;
+
+        // De-interleave every channel: each "sample group" has channels[0].interleave samples
+        // of flow, then channels[1].interleave samples of pressure, etc.
+        let byteIdx = dataStart;
+        for (let g = 0; g < numGroups; g++) {
+            channels.forEach((ch, c) => {
+                const signed = ch.kind === 0;  // flow is signed, pressure unsigned
+                for (let s = 0; s < ch.interleave; s++) {
+                    let val;
+                    if (ch.sampleBits === 16) {
+                        val = data[byteIdx] | (data[byteIdx + 1] << 8);
+                        if (signed && val > 32767) val -= 65536;
+                        byteIdx += 2;
+                    } else {
+                        val = data[byteIdx];
+                        if (signed && val > 127) val -= 256;  // Signed 8-bit: raw value IS L/min
+                        byteIdx += 1;
+                    }
+                    waveformChannels[c].samples.push(val);
+                }
+            });
+        }
+
+        // Skip to next block
+        pos = blockStart + blockSize;
+    }
+
+    const flowChannel = waveformChannels.find(ch => ch.kind === 0) || waveformChannels[0];
+    const flowSamples = flowChannel ? flowChannel.samples : [];
+    if (flowSamples.length === 0) {
+        console.warn('No flow data found in PRS1 waveform file');
+        return null;
+    }
+
+    const pressureChannel = waveformChannels.find(ch => ch.kind === 1);
+    const pressureGain = waveformFamily === 5 ? 0.125 : 0.1;
+
+    const sampleRateHz = detectedSampleRate || 5;  // Default 5 Hz per OSCAR (.005 interleave=5)
+
+    return {
+        flowSamples: flowSamples,
+        sampleRateHz: sampleRateHz,
+        duration: totalDuration,
+        pressureSamples: pressureChannel ? pressureChannel.samples.map(v => Math.round(v * pressureGain * 100) / 100) : null,
+        pressureSampleRateHz: pressureChannel ? pressureChannel.sampleRateHz : 0,
+        channels: waveformChannels
+    };
+}
+
+/**
+ * Event codes in DreamStation (fileVersion 3) .002 chunks for each model family (F<family>V<familyVersion>),
+ * following OSCAR's PRS1 event parsers (ParseEventsF0V6, ParseEventsF3V6, ParseEventsF5V3).
+ * Mapped to the same short codes as the ResMed EVE events.
+ * Layout of each record: code(1), elapsed seconds since the previous record (uint16 LE), then the
+ * rest of the size given for that code in the chunk's hblock.
+ *   'elapsed'         - 1 byte: seconds the event lasted before it was reported (OA, CA, H, RERA...)
+ *   'unknownElapsed'  - 1 unknown byte, then seconds before the report (F3V6 hypopnea 0x06)
+ *   'span'            - 2 bytes: seconds before the report, then duration (unclassified apnea)
+ *   'duration'        - uint16 LE duration in 2 s units, then 1 unknown byte (F5V3 PB, large leak)
+ *   'durationElapsed' - uint16 LE duration in 2 s units, then seconds from its end to the report (F0V6/F3V6 PB, large leak)
+ *   'none'            - no payload (vibratory snore)
+ * Codes not listed (pressure settings, timed breaths, 2-minute statistics...) are skipped. Only F5V3
+ * (BiPAP autoSV) has been checked against a real card; a family not listed here is not decoded and
+ * the session says so.
+ */
+const PHILIPS_EVENT_CODES = {
+    // CPAP and Auto CPAP (DreamStation 200X-700X)
+    F0V6: {
+        0x05: { type: 'OA', layout: 'elapsed' },
+        0x06: { type: 'CA', layout: 'elapsed' },
+        0x07: { type: 'H', layout: 'elapsed' },
+        0x08: { type: 'H', layout: 'elapsed' },
+        0x09: { type: 'FL', layout: 'elapsed' },
+        0x0a: { type: 'VS', layout: 'none' },
+        0x0b: { type: 'PB', layout: 'durationElapsed' },
+        0x0c: { type: 'LL', layout: 'durationElapsed' },
+        0x0d: { type: 'VS', layout: 'none' },
+        0x0e: { type: 'RERA', layout: 'elapsed' },
+        0x14: { type: 'H', layout: 'elapsed' },
+        0x15: { type: 'H', layout: 'elapsed' }
+    },
+    // BiPAP AVAPS (DreamStation 1030X, 1130X)
+    F3V6: {
+        0x04: { type: 'OA', layout: 'elapsed' },
+        0x05: { type: 'CA', layout: 'elapsed' },
+        0x06: { type: 'H', layout: 'unknownElapsed' },
+        0x07: { type: 'PB', layout: 'durationElapsed' },
+        0x08: { type: 'RERA', layout: 'elapsed' },
+        0x09: { type: 'LL', layout: 'durationElapsed' },
+        0x0a: { type: 'H', layout: 'elapsed' },
+        0x0b: { type: 'H', layout: 'elapsed' },
+        0x0c: { type: 'FL', layout: 'elapsed' },
+        0x0d: { type: 'VS', layout: 'none' }
+    },
+    // BiPAP autoSV (DreamStation 900X, 950P)
+    F5V3: {
+        0x05: { type: 'OA', layout: 'elapsed' },
+        0x06: { type: 'CA', layout: 'elapsed' },
+        0x07: { type: 'UA', layout: 'span' },
+        0x08: { type: 'RERA', layout: 'elapsed' },
+        0x09: { type: 'VS', layout: 'none' },
+        0x0a: { type: 'PB', layout: 'duration' },
+        0x0b: { type: 'LL', layout: 'duration' },
+        0x0c: { type: 'FL', layout: 'elapsed' },
+        0x0d: { type: 'H', layout: 'elapsed' },
+        0x0e: { type: 'H', layout: 'elapsed' }
+    }
+};
+
+/**
+ * Parse a Philips PRS1 .002 event file into machine-scored events.
+ * Same chunk structure as the .005 file (see parsePhilipsWaveform); each chunk's V3 hblock gives
+ * the byte size of every event code, which lets us walk past codes we don't decode.
+ *
+ * Returns: { events: [{ time (ms), duration (seconds), type }] — the same shape as parseEVEFile,
+ *            unsupported: the model family, e.g. 'F0V4', when its events couldn't be decoded (else null) }
+ */
+function parsePhilipsEvents(arrayBuffer) {
+    const data = new Uint8Array(arrayBuffer);
+    const events = [];
+    let unsupported = null;
+    let pos = 0;
+
+    while (pos + 15 <= data.length) {
+        const blockStart = pos;
+
+        // --- Common header (15 bytes) ---
+        const fileVersion = data[pos];
+        const blockSize = data[pos + 1] | (data[pos + 2] << 8);
+        const family = data[pos + 4];
+        const familyVersion = data[pos + 5];
+        const timestamp = (data[pos + 11] | (data[pos + 12] << 8) | (data[pos + 13] << 16) | (data[pos + 14] << 24)) >>> 0;
+
+        if (fileVersion < 2 || fileVersion > 3) {
+            console.warn(`PRS1 event block at ${pos}: unsupported fileVersion ${fileVersion}, stopping`);
+            break;
+        }
+        if (blockSize === 0 || blockSize > data.length - blockStart) {
+            console.warn(`PRS1 event block at ${pos}: blockSize ${blockSize} exceeds file, stopping`);
+            break;
+        }
+        const eventCodes = PHILIPS_EVENT_CODES[`F${family}V${familyVersion}`];
+        if (!eventCodes) {
+            if (!unsupported) console.warn(`PRS1 events: family F${family}V${familyVersion} (fileVersion ${fileVersion}) not supported`);
+            unsupported = `F${family}V${familyVersion}`;
+            pos = blockStart + blockSize;
+            continue;
+        }
+
+        pos += 15;
+
+        // V3 hblock: 1 byte count + count * (code, size) pairs
+        const eventSizes = {};
+        const hdbLen = data[pos];
+        for (let i = 0; i < hdbLen; i++) {
+            eventSizes[data[pos + 1 + i * 2]] = data[pos + 2 + i * 2];
+        }
+        pos += 1 + hdbLen * 2;
+        pos += 1;  // header checksum
+
+        const dataEnd = blockStart + blockSize - 4;  // CRC32 at end of V3 data
+        let t = timestamp * 1000;
+
+        while (pos < dataEnd) {
+            const code = data[pos];
+            const size = eventSizes[code];
+            if (size === undefined || pos + 1 + size > dataEnd) {
+                console.warn(`PRS1 events: unknown code 0x${code.toString(16)} at ${pos}, skipping rest of block`);
+                break;
+            }
+            const rec = pos + 1;
+            pos = rec + size;
+            if (size < 2) continue;
+
+            t += (data[rec] | (data[rec + 1] << 8)) * 1000;
+
+            const def = eventCodes[code];
+            if (!def) continue;
+
+            let elapsed = 0;
+            let duration = 0;
+            if (def.layout === 'elapsed' && size >= 3) {
+                elapsed = duration = data[rec + 2];
+            } else if (def.layout === 'unknownElapsed' && size >= 4) {
+                elapsed = duration = data[rec + 3];
+            } else if (def.layout === 'span' && size >= 4) {
+                elapsed = data[rec + 2];
+                duration = data[rec + 3];
+            } else if (def.layout === 'duration' && size >= 4) {
+                elapsed = duration = (data[rec + 2] | (data[rec + 3] << 8)) * 2;
+            } else if (def.layout === 'durationElapsed' && size >= 5) {
+                duration = (data[rec + 2] | (data[rec + 3] << 8)) * 2;
+                elapsed = duration + data[rec + 4];
+            }
+
+            events.push({ time: t - elapsed * 1000, duration: duration, type: def.type });
+        }
+
+        pos = blockStart + blockSize;
+    }
+
+    return { events: events.sort((a, b) => a.time - b.time), unsupported: unsupported };
+}
+
+/**
+ * Parse PROP.TXT for machine identification
+ */
+function parsePhilipsProp(text) {
+    const props = {};
+    text.split('\n').forEach(line => {
+        const eq = line.indexOf('=');
+        if (eq > 0) {
+            props[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+        }
+    });
+    return {
+        serial: props.SN || 'Unknown',
+        model: props.MN || 'Unknown',
+        type: `Philips ${props.MN || 'DreamStation'}`,
+        firmware: props.SV || 'Unknown'
+    };
+}
+
+export const PRS1Parser = {
+    isDataSet: isPhilipsDataSet,
+    isEncrypted: isDS2Encrypted,
+    decrypt: decryptDS2File,
+    readFile: readPhilipsFile,
+    parseHeader: parsePhilipsHeader,
+    parseWaveform: parsePhilipsWaveform,
+    parseEvents: parsePhilipsEvents,
+    parseProp: parsePhilipsProp
+};
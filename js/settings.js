@@ -20,10 +20,29 @@ const DEFAULT_SETTINGS = {
     flFlatnessTarget: 0.05,         // Variance target
 
     // Glasgow Index Parameters (Dave's Port)
-    giExtrapolationSamples: 25,
+    giExtrapolationSec: 1.0,        // How far to extrapolate the expiration to find the pause before a breath
     giTopThreshold90: 0.9,
     giGreyZoneUpper: 5,
     giGreyZoneLower: -10,
+    giSkewLower: 45,                // % of the inspiration volume before the mid point
+    giSkewUpper: 55,
+    giTopHeavyThreshold: 40,        // % of the inspiration spent above 90% of the peak
+    giFlatTopThreshold: 0.75,       // Variance over the middle 50% of the inspiration
+    giSpikeThreshold: 20,
+    giNoPauseSec: 0.4,              // Seconds between the extrapolated expiration and the next inspiration
+    giInspirRateThreshold: 20,      // Breaths per minute
+    giAmpVarThreshold: 4,
+    giMinPeakBump: 1,               // Smallest dip & rise (L/min) counted as another peak
+
+    // Night Grouping
+    sessionMaxGapHours: 6,          // Sessions closer than this to the previous one belong to the same night
+    sessionSleepStartHour: 20,      // Main sleep window start (hour of day)...
+    sessionSleepEndHour: 12,        // ...and end. May be a daytime window for shift workers (e.g. 8 to 16)
+    sessionNapStartHour: 10,        // Sessions up to sessionNapMaxHours starting from this hour to the sleep window are naps
+    sessionNapMaxHours: 3,
+    sessionBreakGapMinutes: 10,     // A gap this short is a mask-off break at any time of day
+    sessionNightBreakGapMinutes: 30,
+    sessionNightGapMinutes: 60,     // In the sleep window, a gap this short is still the main sleep
 
     // Arousal Detection
     arousalBaselineWindowSec: 120,  // How many seconds of history block for baseline
@@ -31,6 +50,10 @@ const DEFAULT_SETTINGS = {
     arousalVolIncreaseMin: 0.30     // 30% increase in tidal vol = arousal
 };
 
+// Settings replaced when their unit changed (e.g. samples to seconds) - dropped from saved settings
+// so an old value isn't read in the new unit
+const RETIRED_SETTINGS = ['giNoPauseThreshold'];
+
 export const Settings = {
     
     current: { ...DEFAULT_SETTINGS },
@@ -43,6 +66,7 @@ export const Settings = {
             const saved = localStorage.getItem(STORAGE_KEY);
             if (saved) {
                 const parsed = JSON.parse(saved);
+                RETIRED_SETTINGS.forEach(key => delete parsed[key]);
                 this.current = { ...DEFAULT_SETTINGS, ...parsed };
                 console.log("Loaded custom settings from LocalStorage", this.current);
             }
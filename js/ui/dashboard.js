@@ -0,0 +1,49 @@
+/**
+ * Dashboard Summary Cards
+ *
+ * What was loaded (machine, nights, sessions, hours), then the most recent night's value of
+ * each registered tool's headline (first) column.
+ */
+
+function card(title, value) {
+    return `
+        <div class="card">
+            <h4>${title}</h4>
+            <div class="value">${value}</div>
+        </div>
+    `;
+}
+
+export const Dashboard = {
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Array} nights - From NightGrouper.group (most recent first)
+     * @param {Array} analyzers - AnalysisEngine.analyzers
+     */
+    render(container, nights, analyzers) {
+        if (nights.length === 0) {
+            container.innerHTML = card('No data', '-');
+            return;
+        }
+
+        const sessions = nights.flatMap(n => n.sessions);
+        const totalHours = nights.reduce((sum, n) => sum + n.duration, 0);
+        const latest = nights[0];
+
+        let html = card('Machine', sessions[0].machineType) +
+            card('Nights', nights.length) +
+            card('Sessions', sessions.length) +
+            card('Therapy Hours', totalHours.toFixed(1));
+
+        analyzers.forEach(tool => {
+            const headline = tool.tableColumns[0];
+            if (!headline) return;
+            const value = latest.values[headline.key];
+            html += card(`${headline.label} (${latest.date})`,
+                typeof value === 'number' && !isNaN(value) ? value.toFixed(2) : 'N/A');
+        });
+
+        container.innerHTML = html;
+    }
+};
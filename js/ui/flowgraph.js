@@ -0,0 +1,113 @@
+/**
+ * Detailed Flow Graph
+ * Ported from FlowLimits.js's showDetailOneMinute / showDetailBack / showDetailForward.
+ *
+ * Shows one minute of a session's flow around the time picked on the heatmap, with the mask
+ * pressure (when the machine records it) on a second axis. Prev / Next step a minute at a time.
+ * Chart.js comes from the CDN script in index.html.
+ */
+
+const WINDOW_SEC = 60;
+
+// lower-rate channels drawn on the right-hand axis, as in megascore.html's DETAIL_CHART_CHANNELS
+const DETAIL_CHANNELS = [
+    { key: 'maskPressure', label: 'Mask Pressure', colour: '#2e7d32' },
+    { key: 'leak', label: 'Leak', colour: '#ef6c00' }
+];
+
+let chart = null;
+let current = null;  // { session, startSec }
+
+function channelPoints(channel, startMs, fromSec, toSec) {
+    const points = [];
+    const first = Math.max(0, Math.floor((fromSec * 1000 - channel.offsetMs) / channel.intervalMs));
+    const last = Math.min(channel.values.length - 1, Math.ceil((toSec * 1000 - channel.offsetMs) / channel.intervalMs));
+    for (let i = first; i <= last; i++) {
+        points.push({ x: startMs + channel.offsetMs + i * channel.intervalMs, y: channel.values[i] });
+    }
+    return points;
+}
+
+function draw(canvas, label) {
+    const { session, startSec } = current;
+    const rate = session.samplingRate;
+    const startMs = session.startDateTime.getTime();
+    const first = Math.round(startSec * rate);
+    const last = Math.min(session.flow.length, first + WINDOW_SEC * rate);
+
+    const flowPoints = [];
+    for (let i = first; i < last; i++) {
+        flowPoints.push({ x: startMs + i * 1000 / rate, y: session.flow[i] });
+    }
+
+    const datasets = [{
+        label: 'Flow Rate (l/min)',
+        data: flowPoints,
+        pointStyle: false,
+        borderColor: '#1b1e7a',
+        borderWidth: 2
+    }];
+    DETAIL_CHANNELS.forEach(def => {
+        const channel = session.channels[def.key];
+        if (!channel) return;
+        datasets.push({
+            label: `${def.label} (${channel.unit})`,
+            data: channelPoints(channel, startMs, startSec, startSec + WINDOW_SEC),
+            pointStyle: false,
+            borderColor: def.colour,
+            borderWidth: 1,
+            yAxisID: 'y1'
+        });
+    });
+
+    const scales = {
+        y: { min: -40, max: 40 },
+        x: { type: 'time', min: startMs + startSec * 1000, max: startMs + (startSec + WINDOW_SEC) * 1000 }
+    };
+    if (datasets.length > 1) {
+        scales.y1 = { position: 'right', min: 0, grid: { drawOnChartArea: false } };
+    }
+
+    if (chart != null) {
+        // clear a chart if one is already in view
+        chart.destroy();
+    }
+    chart = new Chart(canvas, {
+        type: 'line',
+        data: { datasets: datasets },
+        options: {
+            animation: false,
+            maintainAspectRatio: false,
+            scales: scales
+        }
+    });
+
+    const windowStart = new Date(startMs + startSec * 1000);
+    label.textContent = `${session.fileName}  ${windowStart.toLocaleString()}`;
+}
+
+export const FlowGraph = {
+
+    /**
+     * Show the minute of a session's flow starting at (or just before) a time.
+     * @param {HTMLCanvasElement} canvas
+     * @param {HTMLElement} label - Where the time being shown is written
+     * @param {Object} session - A loaded session (see SDCardLoader)
+     * @param {number} atSec - Seconds from the session start
+     */
+    show(canvas, label, session, atSec) {
+        const lastStartSec = Math.max(0, session.flow.length / session.samplingRate - WINDOW_SEC);
+        // start a few seconds early so the selected breath isn't on the edge of the chart
+        current = { session: session, startSec: Math.min(lastStartSec, Math.max(0, atSec - 5)) };
+        draw(canvas, label);
+    },
+
+    /**
+     * Move the shown minute back or forward within its session.
+     * @param {number} minutes - Minutes to move (negative for back)
+     */
+    step(canvas, label, minutes) {
+        if (current == null) return;
+        this.show(canvas, label, current.session, current.startSec + 5 + minutes * WINDOW_SEC);
+    }
+};
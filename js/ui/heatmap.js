@@ -0,0 +1,121 @@
+/**
+ * Night Heatmap
+ * Ported from FlowLimits.js's displayHeatMap.
+ *
+ * Draws one row per Glasgow Index component (plus the overall row) for a night's breaths, in
+ * time order across its sessions. Each pixel column ("cell") summarises a run of consecutive
+ * breaths: the fraction of them flagged for that component. Clicking a cell hands the session
+ * and time of its first breath to onSelect, for the detailed flow view.
+ */
+
+const GI_TOOL_ID = 'glasgow_index';
+
+const ROWS = [
+    { key: 'skew', label: 'Skew', column: 'giSkew' },
+    { key: 'spike', label: 'Spike', column: 'giSpike' },
+    { key: 'flatTop', label: 'Flat Top', column: 'giFlatTop' },
+    { key: 'topHeavy', label: 'Top Heavy', column: 'giTopHeavy' },
+    { key: 'multiPeak', label: 'Double Peak', column: 'giMultiPeak' },
+    { key: 'noPause', label: 'No Pause', column: 'giNoPause' },
+    { key: 'inspirRate', label: 'Inspir Rate', column: 'giInspirRate' },
+    { key: 'multiBreath', label: 'Double Insp', column: 'giMultiBreath' },
+    { key: 'ampVar', label: 'Variable Amp', column: 'giAmpVar' }
+];
+
+const STD_COLOURS = ["#ffffff", "#bab8e0", "#aca9eb", "#8680ed", "#090387"];
+const OVERALL_COLOURS = ["#ffffff", "#faacb7", "#f7798a", "#f7546a", "#ed0c2a"];
+
+const LEFT_PX = 150;     // start of the heat map area, after the row labels
+const TOP_PX = 40;       // first row
+const ROW_PITCH_PX = 30;
+const ROW_HEIGHT_PX = 25;
+const OVERALL_TOP_PX = TOP_PX + ROWS.length * ROW_PITCH_PX + 10;
+
+// Colour bands: components are the fraction of breaths flagged (0-1), overall is the number of flags per breath
+function colourFromValue(value, colours, step) {
+    for (let band = colours.length - 1; band > 0; band--) {
+        if (value > band * step) return colours[band];
+    }
+    return colours[0];
+}
+
+function formatTime(date) {
+    return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/** The night's breaths in time order, each with the session it belongs to. */
+function collectBreaths(night) {
+    const breaths = [];
+    night.sessions.forEach(session => {
+        const gi = session.results[GI_TOOL_ID];
+        if (!gi || !gi.inspirations) return;
+        gi.inspirations.forEach(inspir => breaths.push({ session: session, inspir: inspir }));
+    });
+    return breaths;
+}
+
+export const HeatmapView = {
+
+    /**
+     * Draw a night's heatmap on the canvas.
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} night - A night from NightGrouper.group
+     * @param {function} onSelect - Called with (session, seconds from the session start) when a cell is clicked
+     */
+    render(canvas, night, onSelect) {
+        const ctx = canvas.getContext('2d');
+        canvas.width = Math.max(canvas.parentElement.clientWidth - 40, LEFT_PX + 100);
+        canvas.height = OVERALL_TOP_PX + ROW_HEIGHT_PX + 10;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        canvas.onclick = null;
+
+        const breaths = collectBreaths(night);
+        ctx.fillStyle = "#000000";
+        ctx.font = "bold 14px sans-serif";
+        if (breaths.length === 0) {
+            ctx.fillText(`${night.date}: no Glasgow Index breath data for this night`, 10, 20);
+            return;
+        }
+
+        const durationMins = Math.round(night.duration * 60);
+        ctx.fillText(`${night.date}  (${formatTime(night.startDateTime)} - ${formatTime(night.endDateTime)})  ` +
+            `Duration: ${Math.floor(durationMins / 60)}h ${durationMins % 60}m`, 10, 20);
+
+        ctx.font = "14px sans-serif";
+        ROWS.forEach((row, r) => {
+            const value = night.values[row.column];
+            ctx.fillText(`${row.label} (${value != null ? value.toFixed(2) : 'N/A'})`, 10, TOP_PX + r * ROW_PITCH_PX + 20);
+        });
+        ctx.font = "bold 14px sans-serif";
+        const overall = night.values.giOverall;
+        ctx.fillText(`Overall (${overall != null ? overall.toFixed(2) : 'N/A'})`, 10, OVERALL_TOP_PX + 20);
+
+        // number of breaths per "cell" / pixel column
+        const perCell = Math.ceil(breaths.length / (canvas.width - 10 - LEFT_PX));
+        const noCells = Math.ceil(breaths.length / perCell);
+
+        for (let cell = 0; cell < noCells; cell++) {
+            const cellBreaths = breaths.slice(cell * perCell, (cell + 1) * perCell);
+            const x = LEFT_PX + cell;
+
+            ROWS.forEach((row, r) => {
+                const flagged = cellBreaths.filter(b => b.inspir.indices[row.key] === true).length;
+                ctx.fillStyle = colourFromValue(flagged / cellBreaths.length, STD_COLOURS, 0.2);
+                ctx.fillRect(x, TOP_PX + r * ROW_PITCH_PX, 1, ROW_HEIGHT_PX);
+            });
+
+            const overallFlags = cellBreaths.reduce((sum, b) => sum + b.inspir.indices.overall, 0);
+            ctx.fillStyle = colourFromValue(overallFlags / cellBreaths.length, OVERALL_COLOURS, 1);
+            ctx.fillRect(x, OVERALL_TOP_PX, 1, ROW_HEIGHT_PX);
+        }
+
+        canvas.onclick = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const cell = Math.floor((event.clientX - rect.left) * (canvas.width / rect.width)) - LEFT_PX;
+            // only process clicks within the coloured "cell" area
+            if (cell < 0 || cell >= noCells) return;
+            const breath = breaths[cell * perCell];
+            onSelect(breath.session, breath.inspir.startSec);
+        };
+    }
+};
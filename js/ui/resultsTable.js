@@ -0,0 +1,117 @@
+/**
+ * Results Table & CSV Export
+ *
+ * One row per night (the duration-weighted values of its included sessions) followed by a row
+ * per session. The plugin columns come from AnalysisEngine.getAllTableColumns(), so a newly
+ * registered tool shows up here and in the CSV without any changes to this file.
+ */
+
+const SESSION_TYPE_LABELS = {
+    'main': 'Main',
+    'noon-split': 'Continuation',
+    'bathroom': 'Break',
+    'nap': 'Nap (excluded)'
+};
+
+// Plugins may hand back values they've already formatted - those are shown as they are
+function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value !== 'number' || isNaN(value)) return 'N/A';
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function formatDuration(hours) {
+    const mins = Math.round(hours * 60);
+    return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+function formatTime(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function sessionValue(session, col) {
+    const toolResult = session.results[col.toolId];
+    return toolResult ? toolResult[col.key] : undefined;
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const ResultsTable = {
+
+    /**
+     * Build the TH row: the standard columns, then one per plugin column.
+     * @param {HTMLElement} headerRow
+     * @param {Array} columns - AnalysisEngine.getAllTableColumns()
+     */
+    buildHeader(headerRow, columns) {
+        let html = `
+        <th>Night / File Name</th>
+        <th>Start Time</th>
+        <th>Duration</th>
+    `;
+        columns.forEach(c => {
+            html += `<th title="Provided by tool: ${c.toolId}">${c.label}</th>`;
+        });
+        headerRow.innerHTML = html;
+    },
+
+    /**
+     * Fill the table body.
+     * @param {HTMLElement} body
+     * @param {Array} nights - From NightGrouper.group
+     * @param {Array} columns - AnalysisEngine.getAllTableColumns()
+     * @param {function} onNightClick - Called with the night when its row is clicked
+     */
+    render(body, nights, columns, onNightClick) {
+        body.innerHTML = '';
+        nights.forEach(night => {
+            const nightRow = document.createElement('tr');
+            nightRow.style.fontWeight = 'bold';
+            nightRow.style.cursor = 'pointer';
+            nightRow.title = 'Show this night on the heatmap';
+            nightRow.innerHTML = `
+                <td>${night.date} (${night.sessions.length} session${night.sessions.length === 1 ? '' : 's'})</td>
+                <td>${formatTime(night.startDateTime)}</td>
+                <td>${formatDuration(night.duration)}</td>
+                ${columns.map(c => `<td>${formatValue(night.values[c.key])}</td>`).join('')}
+            `;
+            nightRow.addEventListener('click', () => onNightClick(night));
+            body.appendChild(nightRow);
+
+            night.sessions.forEach(session => {
+                const row = document.createElement('tr');
+                row.style.color = session.included ? '' : 'var(--text-muted)';
+                row.innerHTML = `
+                    <td style="padding-left: 30px;">${session.fileName} <small>${SESSION_TYPE_LABELS[session.sessionType]}</small></td>
+                    <td>${formatTime(session.startDateTime)}</td>
+                    <td>${formatDuration(session.duration)}</td>
+                    ${columns.map(c => `<td>${formatValue(sessionValue(session, c))}</td>`).join('')}
+                `;
+                body.appendChild(row);
+            });
+        });
+    },
+
+    /**
+     * Form the CSV text for the nights: a row per night then a row per session, as in the table.
+     * @param {Array} nights - From NightGrouper.group
+     * @param {Array} columns - AnalysisEngine.getAllTableColumns()
+     * @returns {string}
+     */
+    toCSV(nights, columns) {
+        const lines = [['Night', 'Row', 'File Name', 'Start Time', 'Duration (hours)', ...columns.map(c => c.label)]];
+        nights.forEach(night => {
+            lines.push([night.date, 'Night', '', night.startDateTime.toISOString(), night.duration.toFixed(2),
+                ...columns.map(c => formatValue(night.values[c.key]))]);
+            night.sessions.forEach(session => {
+                lines.push([night.date, SESSION_TYPE_LABELS[session.sessionType], session.fileName,
+                    session.startDateTime.toISOString(), session.duration.toFixed(2),
+                    ...columns.map(c => formatValue(sessionValue(session, c)))]);
+            });
+        });
+        return lines.map(line => line.map(csvField).join(',')).join('\n');
+    }
+};
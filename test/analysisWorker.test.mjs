@@ -0,0 +1,44 @@
+/**
+ * The analysis worker (AnalysisWorker.js) as a module worker runs it
+ * Run with: node --test test/
+ *
+ * EDFFile.js, FlowLimits.js and SessionAnalysis.js are imported here as modules, the way the worker's
+ * imports load them - in strict mode, with their declarations local to each - then the worker's own
+ * code is given a session from the test card as megascore.html would send it.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+const ROOT = new URL('../', import.meta.url);
+const asModule = (source) => import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+const messages = [];
+globalThis.self = { postMessage: (message, transfer) => messages.push({ message, transfer }) };
+for (const script of ['EDFFile.js', 'FlowLimits.js', 'SessionAnalysis.js']) {
+    await asModule(readFileSync(new URL(script, ROOT), 'utf8'));
+}
+const worker = readFileSync(new URL('AnalysisWorker.js', ROOT), 'utf8');
+assert.deepEqual([...worker.matchAll(/^import "\.\/(.+)";$/gm)].map(m => m[1]), ['EDFFile.js', 'FlowLimits.js', 'SessionAnalysis.js']);
+await asModule(worker.replace(/^import .*$/gm, ''));
+
+test('a BRP.edf is analysed, with the stages along the way and the buffers transferred back', () => {
+    messages.length = 0;
+    const bytes = readFileSync(new URL('CPAP_TestData/Resp10/DATALOG/2026/20260203_023835_BRP.edf', ROOT));
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+    globalThis.self.onmessage({ data: { id: 7, job: { kind: 'edf', buffer, giThresholds: undefined, wobbleParams: undefined } } });
+
+    assert.deepEqual(messages.slice(0, -1).map(m => m.message.stage), ['parsing', 'glasgow', 'wobble']);
+    const { message, transfer } = messages.at(-1);
+    assert.equal(message.id, 7);
+    assert.equal(message.error, undefined);
+    assert.ok(message.analysis.inspirations.length > 100);
+    assert.ok(Number.isFinite(message.analysis.cumIndex.overall));
+    assert.deepEqual(transfer, [message.analysis.flowSignal.values.buffer, message.analysis.idealValues.buffer]);
+});
+
+test('a file that isn\'t EDF comes back as an error for that session', () => {
+    messages.length = 0;
+    globalThis.self.onmessage({ data: { id: 8, job: { kind: 'edf', buffer: new ArrayBuffer(300) } } });
+    assert.deepEqual(messages.at(-1).message, { id: 8, error: 'Incorrect file format' });
+});
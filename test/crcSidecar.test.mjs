@@ -0,0 +1,78 @@
+/**
+ * ResMed .crc sidecars (verifyCrcSidecar and the session integrity in megascore.html)
+ * Run with: node --test test/
+ *
+ * The passing case is a file from the test card with the .crc the machine wrote for it.
+ * The failures are that file damaged or cut short here, and a synthetic EDF whose header promises more records.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+import { edfBytes } from './helpers/edf.mjs';
+
+const megascore = loadMegascore();
+const DATALOG = new URL('../CPAP_TestData/Resp10/DATALOG/2026/', import.meta.url);
+const EVE = readFileSync(new URL('20260127_043852_EVE.edf', DATALOG));
+const EVE_CRC = readFileSync(new URL('20260127_043852_EVE.crc', DATALOG));
+const MODIFIED = Date.UTC(2026, 0, 27, 12);
+
+const cardFile = (bytes, name = '20260127_043852_EVE.edf') => new megascore.File([bytes], name, { lastModified: MODIFIED });
+const crcFile = (bytes) => cardFile(bytes, '20260127_043852_EVE.crc');
+
+test('a file matching its .crc passes, and the entry records its size and modified time', async () => {
+    const entry = await megascore.verifyCrcSidecar(cardFile(EVE), crcFile(EVE_CRC));
+    assert.deepEqual(fromPage(entry), {
+        file: '20260127_043852_EVE.edf', size: EVE.length, lastModified: MODIFIED, status: 'ok', detail: 'CRC OK'
+    });
+});
+
+test('a changed header or data byte fails that half of the check', async () => {
+    const header = Buffer.from(EVE);
+    header[10] ^= 0x01;
+    assert.equal((await megascore.verifyCrcSidecar(cardFile(header), crcFile(EVE_CRC))).detail, 'header CRC mismatch');
+    const data = Buffer.from(EVE);
+    data[data.length - 1] ^= 0x01;
+    const entry = await megascore.verifyCrcSidecar(cardFile(data), crcFile(EVE_CRC));
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.detail, 'data CRC mismatch');
+});
+
+test('a file cut short is reported as truncated against the size its header promises', async () => {
+    const entry = await megascore.verifyCrcSidecar(cardFile(EVE.subarray(0, EVE.length - 100)), crcFile(EVE_CRC));
+    assert.equal(entry.detail, `data CRC mismatch, truncated: ${EVE.length - 100} of ${EVE.length} bytes`);
+});
+
+test('the expected size is the header plus every record the header counts', () => {
+    const signals = [{ label: 'Flow', samplesPerRec: 25, digital: () => 0 }, { label: 'Press', samplesPerRec: 5, digital: () => 0 }];
+    const bytes = edfBytes({ signals, records: 2, declaredRecords: 4 });
+    assert.equal(megascore.edfExpectedSize(bytes), 256 * 3 + 4 * 30 * 2);
+    assert.equal(megascore.edfExpectedSize(bytes.subarray(0, 100)), null);
+});
+
+test('a missing .crc and one in an unknown format are reported without failing', async () => {
+    assert.equal((await megascore.verifyCrcSidecar(cardFile(EVE), null)).status, 'missing');
+    const entry = await megascore.verifyCrcSidecar(cardFile(EVE), crcFile(EVE_CRC.subarray(0, 4)));
+    assert.equal(entry.status, 'unchecked');
+});
+
+test('a cached session keeps its checks only while its files are unchanged', async () => {
+    const session = {};
+    megascore.setSessionIntegrity(session, [await megascore.verifyCrcSidecar(cardFile(EVE), crcFile(EVE_CRC))]);
+    assert.equal(session.integrity.status, 'ok');
+    assert.equal(megascore.cachedIntegrityChecks(session, [cardFile(EVE)]), session.integrity.checks);
+    const rewritten = new megascore.File([EVE], '20260127_043852_EVE.edf', { lastModified: MODIFIED + 1000 });
+    assert.equal(megascore.cachedIntegrityChecks(session, [rewritten]), null);
+    assert.equal(megascore.cachedIntegrityChecks(session, [cardFile(EVE), cardFile(EVE, '20260127_043852_PLD.edf')]), null);
+    assert.equal(megascore.cachedIntegrityChecks({}, [cardFile(EVE)]), null);
+});
+
+test('a failed file makes the session failed with the problem named', () => {
+    const session = {};
+    megascore.setSessionIntegrity(session, [
+        { file: 'a_BRP.edf', status: 'ok', detail: 'CRC OK' },
+        { file: 'a_PLD.edf', status: 'failed', detail: 'data CRC mismatch' }
+    ]);
+    assert.equal(session.integrity.status, 'failed');
+    assert.deepEqual(fromPage(session.integrity.problems), ['a_PLD.edf: data CRC mismatch']);
+});
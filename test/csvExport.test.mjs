@@ -0,0 +1,36 @@
+/**
+ * CSV exports (csvField / exportBreaths in megascore.html)
+ * Run with: node --test test/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore } from './helpers/megascore.mjs';
+
+const megascore = loadMegascore();
+
+test('fields are quoted with the quotes inside them doubled', () => {
+    assert.equal(megascore.csvField('plain'), '"plain"');
+    assert.equal(megascore.csvField('say "hi", twice'), '"say ""hi"", twice"');
+    assert.equal(megascore.csvField(1.5), '"1.5"');
+    assert.equal(megascore.csvField(''), '""');
+});
+
+test('a session file name with quotes keeps the breath export\'s columns in line', () => {
+    const start = new Date(2025, 0, 1, 23, 0, 0);
+    const session = {
+        fileName: 'night "one", part 2_BRP.edf',
+        startDateTime: start,
+        flowSignal: megascore.makeSignal(new Float32Array(250), start, 25),
+        inspirations: [{ start: 25, end: 75, leftPercent: 50, top90Percent: 30, midVar: 2, preRestSec: 1, indices: { overall: 0 } }]
+    };
+    megascore.getHeatmapSelection = () => ({ sessions: [session], night: '2025-01-01', label: '2025-01-01' });
+    let saved = null;
+    megascore.downloadTextFile = (content, filename) => { saved = { content, filename }; };
+
+    megascore.exportBreaths('csv');
+    const [header, row] = saved.content.split('\n');
+    const fields = (line) => line.match(/"(?:[^"]|"")*"/g);
+    assert.equal(fields(row).length, fields(header).length);
+    assert.equal(fields(row)[1], '"night ""one"", part 2_BRP.edf"');
+    assert.equal(saved.filename, 'breaths_2025-01-01.csv');
+});
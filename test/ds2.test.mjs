@@ -0,0 +1,81 @@
+/**
+ * DreamStation 2 containers (decryptDS2File in megascore.html)
+ * Run with: node --test test/
+ *
+ * The page decrypts with WebCrypto. The containers here are sealed with node:crypto instead, from the
+ * layout OSCAR's DS2 loader reads, so a mistake in the page's key schedule can't cancel itself out the
+ * way it would with fixtures made by the page's own code. The key and vectors for the primitives are
+ * the published ones (RFC 7914 for PBKDF2-SHA256, the GCM spec's test case 14 for AES-256-GCM).
+ * Nothing here checks that layout against a container from a real DreamStation 2 card.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCipheriv, pbkdf2Sync, randomBytes } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { loadMegascore } from './helpers/megascore.mjs';
+
+const megascore = loadMegascore();
+const COMMON_KEY = Buffer.from(megascore.evaluate('DS2_COMMON_KEY'));
+const DATA = new URL('../CPAP_TestData/', import.meta.url);
+
+function gcm(key, iv, bytes) {
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    return Buffer.concat([cipher.update(bytes), cipher.final(), cipher.getAuthTag()]);
+}
+
+/** magic | GUID | magic | IV | salt | import key + tag | export key + tag | payload key + tag | payload IV | payload + tag */
+function sealDS2(plain) {
+    const magic = Buffer.from([0x0d, 0x01, 0x01]);
+    const iv = randomBytes(12);
+    const salt = randomBytes(16);
+    const saltedKey = pbkdf2Sync(COMMON_KEY, salt, 10000, 32, 'sha256');
+    const exportKey = randomBytes(32);
+    const payloadKey = randomBytes(32);
+    const payloadIV = randomBytes(12);
+    return Buffer.concat([
+        magic, Buffer.from('01234567-89ab-cdef-0123-456789abcdef'), magic, iv, salt,
+        gcm(saltedKey, iv, randomBytes(32)),
+        gcm(saltedKey, iv, exportKey),
+        gcm(exportKey, iv, payloadKey),
+        payloadIV,
+        gcm(payloadKey, payloadIV, plain)
+    ]);
+}
+
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+
+test('the primitives match their published vectors', async () => {
+    const derived = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: Buffer.from('salt'), iterations: 1 },
+        await crypto.subtle.importKey('raw', Buffer.from('passwd'), 'PBKDF2', false, ['deriveBits']), 512);
+    assert.equal(Buffer.from(derived).toString('hex'),
+        '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc' +
+        '49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783');
+    assert.equal(gcm(Buffer.alloc(32), Buffer.alloc(12), Buffer.alloc(16)).toString('hex'),
+        'cea7403d4d606b6e074ec5d3baf39d18' + 'd0d1c8a799996bf0265b98b5d48ab919');
+});
+
+test('a container sealed outside the page decrypts to the PRS1 file inside it', async () => {
+    const plain = readFileSync(new URL('PhilipsDSX900/P-SERIES/34105849/P0/00000DB4.001', DATA));
+    const decrypted = await megascore.decryptDS2File(toArrayBuffer(sealDS2(plain)));
+    assert.ok(Buffer.from(decrypted).equals(plain));
+});
+
+test('the checked-in synthetic fixtures decrypt to the DreamStation 1 originals', async () => {
+    for (const name of ['00000DA5.001', '00000DA5.002', '00000DAC.005']) {
+        const sealed = readFileSync(new URL(`PhilipsDS2_Synthetic/P-SERIES/34105849/P0/${name}`, DATA));
+        const plain = readFileSync(new URL(`PhilipsDSX900/P-SERIES/34105849/P0/${name}`, DATA));
+        assert.ok(Buffer.from(await megascore.decryptDS2File(toArrayBuffer(sealed))).equals(plain), name);
+    }
+});
+
+test('a container that fails its GCM tag is rejected', async () => {
+    const sealed = sealDS2(Buffer.from('not a real PRS1 file'));
+    sealed[sealed.length - 1] ^= 0xff;
+    await assert.rejects(megascore.decryptDS2File(toArrayBuffer(sealed)), /DreamStation 2 decryption failed/);
+});
+
+test('a plain PRS1 file is not taken for a container', async () => {
+    const plain = readFileSync(new URL('PhilipsDSX900/P-SERIES/34105849/P0/00000DB4.001', DATA));
+    assert.equal(megascore.isDS2Encrypted(new Uint8Array(plain)), false);
+    await assert.rejects(megascore.decryptDS2File(toArrayBuffer(plain)), /Not a DreamStation 2 container/);
+});
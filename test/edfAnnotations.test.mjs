@@ -0,0 +1,73 @@
+/**
+ * EDF+ annotations (parseAnnotations in EDFFile.js) and the ResMed EVE.edf events megascore.html reads from them
+ * Run with: node --test test/
+ *
+ * The files are built here with the "EDF Annotations" signal holding Time-stamped Annotation Lists (TALs),
+ * each record starting with the time-keeping TAL that has no text.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, cardFile, fromPage } from './helpers/megascore.mjs';
+import { edfBytes, tal } from './helpers/edf.mjs';
+
+const megascore = loadMegascore();
+
+/** An annotation-only file (like EVE.edf) with the given TALs after each record's time-keeping TAL. */
+function annotationFile(recordTALs, samplesPerRec = 60) {
+    return edfBytes({
+        recordSec: 0,
+        records: recordTALs.length,
+        signals: [{ label: 'EDF Annotations', samplesPerRec, tals: rec => tal(rec, null, '') + recordTALs[rec].join('') }]
+    });
+}
+
+test('TALs are decoded with their onset, duration and every text they carry', () => {
+    const bytes = annotationFile([
+        [tal(0, null, 'Recording starts')],
+        [tal(61.5, 12, 'Obstructive Apnea'), tal(90, 10, 'Hypopnea', 'Arousal')]
+    ]);
+    const fileData = megascore.parseEDFFile(bytes.buffer);
+    assert.deepEqual(fromPage(fileData.annotations), [
+        { onset: 0, duration: 0, text: 'Recording starts' },
+        { onset: 61.5, duration: 12, text: 'Obstructive Apnea' },
+        { onset: 90, duration: 10, text: 'Hypopnea' },
+        { onset: 90, duration: 10, text: 'Arousal' }
+    ]);
+});
+
+test('the time-keeping TALs and the padding after them give no annotations', () => {
+    const fileData = megascore.parseEDFFile(annotationFile([[], []]).buffer);
+    assert.equal(fileData.annotations.length, 0);
+    assert.equal(fileData.dataRecCnt, 2);
+});
+
+test('annotations come out in onset order across records', () => {
+    const bytes = annotationFile([[tal(300, 20, 'Central Apnea')], [tal(120, 15, 'Apnea')]]);
+    const fileData = megascore.parseEDFFile(bytes.buffer);
+    assert.deepEqual(fromPage(fileData.annotations.map(a => a.onset)), [120, 300]);
+});
+
+test('EVE.edf labels map to event codes at wall-clock times, other annotations are dropped', async () => {
+    const bytes = annotationFile([[tal(0, null, 'Recording starts'), tal(61.5, 12, 'Obstructive Apnea'),
+        tal(90, 10, 'Arousal'), tal(200, 8, 'Central Apnea'), tal(300, 14, 'Apnea'), tal(400, 11, 'Hypopnea')]], 200);
+    const events = await megascore.parseEVEFile(cardFile('DATALOG/20250101/20250101_230000_EVE.edf', bytes));
+    const start = new Date(2025, 0, 1, 23, 0, 0).getTime();
+    assert.deepEqual(fromPage(events), [
+        { time: start + 61500, duration: 12, type: 'OA' },
+        { time: start + 90000, duration: 10, type: 'RERA' },
+        { time: start + 200000, duration: 8, type: 'CA' },
+        { time: start + 300000, duration: 14, type: 'UA' },
+        { time: start + 400000, duration: 11, type: 'H' }
+    ]);
+});
+
+test('a session keeps only the events inside it, as seconds from its start', () => {
+    const start = new Date(2025, 0, 1, 23, 0, 0).getTime();
+    const session = { startDateTime: new Date(start).toISOString(), endDateTime: new Date(start + 3600000).toISOString() };
+    megascore.attachMachineEvents(session, [
+        { time: start - 1000, duration: 10, type: 'OA' },
+        { time: start + 61500, duration: 12, type: 'OA' },
+        { time: start + 3600000, duration: 10, type: 'H' }
+    ]);
+    assert.deepEqual(fromPage(session.events), [{ type: 'OA', onset: 61.5, duration: 12 }]);
+});
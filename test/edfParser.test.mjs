@@ -0,0 +1,78 @@
+/**
+ * EDF physical values (parseEDFFile in EDFFile.js)
+ * Run with: node --test test/
+ *
+ * Synthetic EDF files check the linear mapping from digital to physical values, the conversion to the
+ * units the analysis works in (EDF_UNIT_CONVERSIONS) and the record count of unfinished or cut-short files.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+import { edfBytes } from './helpers/edf.mjs';
+
+const megascore = loadMegascore();
+const parse = (bytes) => megascore.parseEDFFile(bytes.buffer);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} ≈ ${expected}`);
+
+const signal = (overrides) => ({ label: 'Test', samplesPerRec: 3, digital: (rec, i) => [-32768, 0, 32767][i], ...overrides });
+
+test('digital values map linearly between the physical and digital limits, offsets included', () => {
+    const fileData = parse(edfBytes({
+        records: 1,
+        signals: [signal({ dimension: 'cmH2O', physMin: 4, physMax: 20, digMin: 0, digMax: 1600, digital: (rec, i) => [0, 800, 1600][i] })]
+    }));
+    const values = fromPage([...fileData.signals[0].physicalValues]);
+    assert.deepEqual(values, [4, 12, 20]);
+    assert.deepEqual(fromPage([...fileData.signals[0].digitalValues]), [0, 800, 1600]);
+});
+
+test('flow in L/s comes out in L/min, with the header unit kept', () => {
+    const fileData = parse(edfBytes({
+        records: 1,
+        signals: [signal({ label: 'Flow.40ms', dimension: 'L/s', physMin: -2, physMax: 2, digMin: -1000, digMax: 1000,
+            digital: (rec, i) => [-500, 0, 250][i] })]
+    }));
+    const flow = fileData.signals[0];
+    assert.equal(flow.physDimension, 'L/min');
+    assert.equal(flow.originalDimension, 'L/s');
+    const values = [...flow.physicalValues];
+    close(values[0], -60);
+    close(values[1], 0);
+    close(values[2], 30);
+    assert.equal(fileData.flowSignal, flow);
+});
+
+test('each unit in EDF_UNIT_CONVERSIONS converts, matching case and spaces loosely', () => {
+    const conversions = fromPage(megascore.evaluate('EDF_UNIT_CONVERSIONS'));
+    const dimensions = { 'L/s': 60, 'l/min': 1, 'mL/s': 0.06, 'L': 1000, 'ml': 1, 'cm H2O': 1, 'hPa': 1.01972, 'mbar': 1.01972, '%': 1, 'percent': 1 };
+    assert.deepEqual(Object.keys(dimensions).map(d => d.toLowerCase().replace(/\s/g, '')).sort(), Object.keys(conversions).sort());
+    const fileData = parse(edfBytes({
+        records: 1,
+        signals: Object.keys(dimensions).map(dimension =>
+            signal({ label: dimension, dimension, physMin: 0, physMax: 10, digMin: 0, digMax: 10, samplesPerRec: 1, digital: () => 5 }))
+    }));
+    fileData.signals.forEach(s => close(s.physicalValues[0], 5 * dimensions[s.label]));
+});
+
+test('an unknown unit is left as it is', () => {
+    const fileData = parse(edfBytes({ records: 1, signals: [signal({ dimension: 'bpm', physMin: 0, physMax: 255, digMin: 0, digMax: 255, digital: () => 60 })] }));
+    assert.equal(fileData.signals[0].physDimension, 'bpm');
+    assert.equal(fileData.signals[0].physicalValues[0], 60);
+});
+
+test('the sampling rate comes from the samples per record and the record length', () => {
+    const fileData = parse(edfBytes({ recordSec: 2, records: 1, signals: [signal({ samplesPerRec: 50, digital: () => 0 })] }));
+    assert.equal(fileData.signals[0].samplingRate, 25);
+    assert.equal(fileData.signals[0].sampleIntervalmS, 40);
+});
+
+test('a file still being recorded (-1 records) or cut short is read up to its last complete record', () => {
+    const counting = signal({ samplesPerRec: 2, digMin: 0, digMax: 100, physMin: 0, physMax: 100, digital: (rec, i) => rec * 10 + i });
+    const unfinished = parse(edfBytes({ records: 3, declaredRecords: -1, signals: [counting] }));
+    assert.equal(unfinished.dataRecCnt, 3);
+
+    const full = edfBytes({ records: 3, declaredRecords: 5, signals: [counting] });
+    const truncated = parse(full.slice(0, full.length - 1));
+    assert.equal(truncated.dataRecCnt, 2);
+    assert.deepEqual(fromPage([...truncated.signals[0].physicalValues]), [0, 1, 10, 11]);
+});
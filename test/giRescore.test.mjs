@@ -0,0 +1,70 @@
+/**
+ * Glasgow Index thresholds from the settings and the re-score of stored breaths (getGIThresholds /
+ * rescoreIfStale in megascore.html, prepIndices in FlowLimits.js)
+ * Run with: node --test test/
+ *
+ * The breaths are given the per-breath features findInspirations stores, so only the scoring is tested.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+
+const withSettings = (settings) => {
+    const megascore = loadMegascore({ storage: { megascore_settings: JSON.stringify(settings) } });
+    megascore.loadSettings();
+    return megascore;
+};
+
+/** A breath with unremarkable features, changed by the overrides. */
+const breath = (overrides = {}) => ({
+    leftPercent: 50, top90Percent: 30, midVar: 2, peakBump: 0, preRestSec: 1, inspirPerMin: 15, noExhale: false, ampVar: 1,
+    ...overrides
+});
+
+test('the thresholds come from the settings, a cleared one from the defaults', () => {
+    const megascore = withSettings({ gi_skew_upper: 60, gi_spike_threshold: null, gi_noPause_sec: 0.25 });
+    const thresholds = fromPage(megascore.getGIThresholds());
+    assert.equal(thresholds.skewUpper, 60);
+    assert.equal(thresholds.spike, 20);
+    assert.equal(thresholds.noPause, 0.25);
+    assert.deepEqual(Object.keys(thresholds), Object.keys(fromPage(megascore.evaluate('DEFAULT_GI_THRESHOLDS'))));
+});
+
+test('the old No Pause threshold in samples is dropped from saved settings', () => {
+    const megascore = withSettings({ gi_noPause_threshold: 10 });
+    assert.equal(megascore.evaluate('megascoreSettings').gi_noPause_threshold, undefined);
+    assert.equal(megascore.getGIThresholds().noPause, 0.4);
+});
+
+test('a session scored with other thresholds is re-scored from its stored breaths', () => {
+    const megascore = withSettings({});
+    const session = { inspirations: [breath({ leftPercent: 57 }), breath(), breath({ preRestSec: 0.3 }), breath()] };
+    session.giThresholds = fromPage(megascore.getGIThresholds());
+    session.cumIndex = megascore.prepIndices(session, session.giThresholds);
+    assert.equal(session.cumIndex.skew, 0.25);
+    assert.equal(session.cumIndex.noPause, 0.25);
+    assert.equal(megascore.rescoreIfStale(session, megascore.getGIThresholds()), false);
+
+    const thresholds = { ...session.giThresholds, skewUpper: 60, noPause: 0.2 };
+    assert.equal(megascore.rescoreIfStale(session, thresholds), true);
+    assert.equal(session.cumIndex.skew, 0);
+    assert.equal(session.cumIndex.noPause, 0);
+    assert.deepEqual(session.giThresholds, thresholds);
+    assert.equal(session.inspirations[0].indices.skew, false);
+});
+
+test('double peaks are re-judged from the stored dip & rise', () => {
+    const megascore = withSettings({});
+    const session = { inspirations: [breath({ peakBump: 1.5 }), breath({ peakBump: 0.5 })], giThresholds: {} };
+    megascore.rescoreIfStale(session, megascore.getGIThresholds());
+    assert.equal(session.cumIndex.multiPeak, 0.5);
+    megascore.rescoreIfStale(session, { ...megascore.getGIThresholds(), minPeakBump: 2 });
+    assert.equal(session.cumIndex.multiPeak, 0);
+});
+
+test('a session without stored breaths is left as it is', () => {
+    const megascore = withSettings({});
+    const session = { inspirations: [], cumIndex: { overall: 3 } };
+    assert.equal(megascore.rescoreIfStale(session, megascore.getGIThresholds()), false);
+    assert.equal(session.cumIndex.overall, 3);
+});
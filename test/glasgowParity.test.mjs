@@ -0,0 +1,71 @@
+/**
+ * The Glasgow Index plugin against the page's analysis
+ * Run with: node --test test/
+ *
+ * The modular app's GlasgowIndexPlugin.process must score every bundled Resp10 BRP.edf exactly as
+ * analyzeSessionData (SessionAnalysis.js), which megascore.html runs, does - with the default
+ * thresholds, and with thresholds changed in the settings, which the plugin reads by their
+ * settings.js keys and the page by its getGIThresholds names.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import vm from 'node:vm';
+import { GlasgowIndexPlugin } from '../js/analysis/algorithms/glasgow_core.js';
+
+const ROOT = new URL('../', import.meta.url);
+const DATALOG = new URL('CPAP_TestData/Resp10/DATALOG/2026/', ROOT);
+const BRP_FILES = readdirSync(DATALOG).filter(name => name.endsWith('_BRP.edf')).sort();
+
+// The page's scripts, loaded in order into a context of their own
+const page = vm.createContext({ console });
+for (const script of ['EDFFile.js', 'FlowLimits.js', 'SessionAnalysis.js']) {
+    vm.runInContext(readFileSync(new URL(script, ROOT), 'utf8'), page);
+}
+// Only the Glasgow Index is compared - skip the Wobble metrics, which take most of the time on a long night
+page.runWobbleAnalysis = () => ({});
+const DEFAULT_GI_THRESHOLDS = vm.runInContext('({ ...DEFAULT_GI_THRESHOLDS })', page);
+
+// The same thresholds as the settings panel saves them (settings.js) and as getGIThresholds hands them on
+const SETTINGS = [
+    { name: 'the defaults', plugin: {}, page: DEFAULT_GI_THRESHOLDS },
+    {
+        name: 'a lower skew bound and a longer no-pause time',
+        plugin: { giSkewLower: 40, giNoPauseSec: 0.6 },
+        page: { ...DEFAULT_GI_THRESHOLDS, skewLower: 40, noPause: 0.6 }
+    }
+];
+
+function readBuffer(name) {
+    const bytes = readFileSync(new URL(name, DATALOG));
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+}
+
+for (const settings of SETTINGS) {
+    test(`every column matches the page on the Resp10 sessions, with ${settings.name}`, () => {
+        let compared = 0;
+        for (const name of BRP_FILES) {
+            const buffer = readBuffer(name);
+            let expected;
+            try {
+                expected = page.analyzeSessionData({ kind: 'edf', buffer, giThresholds: settings.page });
+            } catch (e) {
+                // a session the page can't analyse (no flow) isn't one the app loads either
+                continue;
+            }
+
+            // As the SD card loader hands the session to the analysis engine
+            const parsed = page.parseEDFFile(buffer);
+            const flow = Float32Array.from(parsed.flowSignal.physicalValues);
+            const output = GlasgowIndexPlugin.process(flow, parsed.flowSignal.samplingRate, settings.plugin);
+
+            for (const { key } of GlasgowIndexPlugin.tableColumns) {
+                const indexName = key.charAt(2).toLowerCase() + key.slice(3);
+                assert.equal(output[key], expected.cumIndex[indexName], `${name} ${key}`);
+            }
+            assert.equal(output.inspirations.length, expected.inspirations.length, `${name} inspirations`);
+            compared++;
+        }
+        assert.ok(compared > 0);
+    });
+}
@@ -0,0 +1,54 @@
+/**
+ * EDF / EDF+ files built byte by byte, for the parser tests.
+ */
+
+const field = (value, width) => String(value).padEnd(width, ' ').slice(0, width);
+
+/**
+ * @param {Object} options
+ * @param {string} options.startDate - dd.mm.yy
+ * @param {string} options.startTime - hh.mm.ss
+ * @param {number} options.recordSec - seconds per data record
+ * @param {Array} options.signals - { label, dimension, physMin, physMax, digMin, digMax, samplesPerRec,
+ *   digital: (rec, i) => value } for samples, or { label: 'EDF Annotations', samplesPerRec, tals: rec => text }
+ * @param {number} options.records - data records written
+ * @param {number} [options.declaredRecords] - record count in the header (defaults to records)
+ * @returns {Uint8Array}
+ */
+export function edfBytes({ startDate = '01.01.25', startTime = '23.00.00', recordSec = 1, signals, records, declaredRecords = records }) {
+    const headerBytes = 256 + 256 * signals.length;
+    let header = field('0', 8) + field('X', 80) + field('Startdate X', 80) + field(startDate, 8) + field(startTime, 8) +
+        field(headerBytes, 8) + field('EDF+C', 44) + field(declaredRecords, 8) + field(recordSec, 8) + field(signals.length, 4);
+    const each = (fn, width) => signals.map(s => field(fn(s), width)).join('');
+    header += each(s => s.label, 16) + each(() => '', 80) + each(s => s.dimension || '', 8) +
+        each(s => s.physMin ?? -1, 8) + each(s => s.physMax ?? 1, 8) +
+        each(s => s.digMin ?? -32768, 8) + each(s => s.digMax ?? 32767, 8) +
+        each(() => '', 80) + each(s => s.samplesPerRec, 8) + each(() => '', 32);
+
+    const recordBytes = signals.reduce((sum, s) => sum + s.samplesPerRec * 2, 0);
+    const bytes = new Uint8Array(headerBytes + records * recordBytes);
+    for (let i = 0; i < headerBytes; i++) bytes[i] = header.charCodeAt(i);
+    const view = new DataView(bytes.buffer);
+    let pos = headerBytes;
+    for (let rec = 0; rec < records; rec++) {
+        for (const signal of signals) {
+            if (signal.tals) {
+                const text = new TextEncoder().encode(signal.tals(rec));
+                bytes.set(text.subarray(0, signal.samplesPerRec * 2), pos);
+                pos += signal.samplesPerRec * 2;
+                continue;
+            }
+            for (let i = 0; i < signal.samplesPerRec; i++) {
+                view.setInt16(pos, signal.digital(rec, i), true);
+                pos += 2;
+            }
+        }
+    }
+    return bytes;
+}
+
+/** One EDF+ TAL: onset and optional duration (seconds), then its texts. */
+export function tal(onset, duration, ...texts) {
+    const timing = (onset >= 0 ? '+' : '') + onset + (duration !== undefined && duration !== null ? '\x15' + duration : '');
+    return timing + '\x14' + texts.map(text => text + '\x14').join('') + '\0';
+}
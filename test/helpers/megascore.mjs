@@ -0,0 +1,73 @@
+/**
+ * The plain scripts megascore.html runs - EDFFile.js, FlowLimits.js, SessionAnalysis.js and the page's
+ * own inline script - loaded into a context of their own, so the tests can call the page's functions.
+ * The page's DOM is a stand-in that takes anything it's given; localStorage holds what's set on it.
+ */
+import { readFileSync } from 'node:fs';
+import { File, Blob } from 'node:buffer';
+import vm from 'node:vm';
+
+const ROOT = new URL('../../', import.meta.url);
+
+// Every property of it, call of it and construction with it gives the stand-in back
+const anything = new Proxy(function () {}, {
+    get: (target, key) => key === Symbol.toPrimitive ? () => '' : (key === 'then' ? undefined : anything),
+    apply: () => anything,
+    construct: () => anything,
+    set: () => true
+});
+
+class StubFileReader {
+    readAsArrayBuffer(file) {
+        file.arrayBuffer().then(result => this.onload({ target: { result } }), () => this.onerror());
+    }
+    readAsText(file) {
+        file.text().then(result => this.onload({ target: { result } }), () => this.onerror());
+    }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - localStorage contents to start with
+ * @returns {Object} the context - functions are its properties, const/let through evaluate()
+ */
+export function loadMegascore({ storage = {} } = {}) {
+    const stored = new Map(Object.entries(storage));
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error: console.error },
+        document: anything,
+        Chart: anything,
+        localStorage: {
+            getItem: key => stored.has(key) ? stored.get(key) : null,
+            setItem: (key, value) => stored.set(key, String(value)),
+            removeItem: key => stored.delete(key)
+        },
+        navigator: { hardwareConcurrency: 1 },
+        FileReader: StubFileReader,
+        File, Blob, TextDecoder, TextEncoder, DataView,
+        crypto: globalThis.crypto,
+        setTimeout, clearTimeout,
+        alert() {}
+    });
+    context.window = context;
+    for (const script of ['EDFFile.js', 'FlowLimits.js', 'SessionAnalysis.js']) {
+        vm.runInContext(readFileSync(new URL(script, ROOT), 'utf8'), context, { filename: script });
+    }
+    const page = readFileSync(new URL('megascore.html', ROOT), 'utf8');
+    const inline = [...page.matchAll(/<script type="text\/javascript">([\s\S]*?)<\/script>/g)].map(m => m[1]).join('\n');
+    vm.runInContext(inline, context, { filename: 'megascore.html' });
+    context.evaluate = code => vm.runInContext(code, context);
+    return context;
+}
+
+/** A File as the browser's file input gives it, with the folder path webkitRelativePath carries. */
+export function cardFile(path, bytes) {
+    const file = new File([bytes], path.split('/').pop());
+    Object.defineProperty(file, 'webkitRelativePath', { value: path });
+    return file;
+}
+
+/** A copy of a value from the page's context, so deepEqual can compare it with values made here. */
+export function fromPage(value) {
+    return structuredClone(value);
+}
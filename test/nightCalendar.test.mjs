@@ -0,0 +1,46 @@
+/**
+ * The night calendar's clock-time axis (calendarWindow / renderNightCalendar in megascore.html)
+ * Run with: node --test test/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+
+const megascore = loadMegascore();
+const DEFAULT_RULES = fromPage(megascore.evaluate('DEFAULT_SESSION_RULES'));
+
+test('the axis runs across the sleep window, wrapping past midnight', () => {
+    assert.deepEqual(fromPage(megascore.calendarWindow(DEFAULT_RULES)), { startHour: 20, hours: 16 });
+    assert.deepEqual(fromPage(megascore.calendarWindow({ sleepStartHour: 8, sleepEndHour: 16 })), { startHour: 8, hours: 8 });
+    assert.deepEqual(fromPage(megascore.calendarWindow({ sleepStartHour: 22, sleepEndHour: 22 })), { startHour: 22, hours: 24 });
+});
+
+/** Breaths at the given clock times (hh:mm on 2025-01-01, later hours the next day), each flagged once. */
+function sessionWithBreaths(times) {
+    const start = new Date(2025, 0, 1, 0, 0);
+    const flowSignal = megascore.makeSignal(new Float32Array(0), start, 1);
+    const inspirations = times.map(([hour, minute]) => ({ start: (hour * 60 + minute) * 60, indices: { overall: 1, skew: true } }));
+    return { flowSignal, inspirations, startDateTime: start };
+}
+
+test('breaths are binned from the start of the sleep window, those outside it left out', () => {
+    const session = sessionWithBreaths([[9, 2], [9, 4], [15, 59], [17, 0], [7, 0]]);
+    megascore.getSessionsForNight = () => [session];
+    megascore.renderNightCalendar([{ date: '2025-01-01' }], { ...DEFAULT_RULES, sleepStartHour: 8, sleepEndHour: 16 });
+    const calendar = megascore.evaluate('nightCalendar');
+    const bins = calendar.rows[0].bins;
+    assert.equal(bins.length, 8 * 60 / 5);
+    assert.equal(bins[12].count, 2);
+    assert.equal(bins[bins.length - 1].count, 1);
+    assert.equal(bins.filter(Boolean).reduce((sum, bin) => sum + bin.count, 0), 3);
+});
+
+test('the default window puts an early-morning breath after the evening ones', () => {
+    const session = sessionWithBreaths([[22, 0], [26, 30]]);
+    megascore.getSessionsForNight = () => [session];
+    megascore.renderNightCalendar([{ date: '2025-01-01' }], DEFAULT_RULES);
+    const bins = megascore.evaluate('nightCalendar').rows[0].bins;
+    assert.equal(bins.length, 16 * 60 / 5);
+    assert.equal(bins[2 * 12].count, 1);
+    assert.equal(bins[6.5 * 12].count, 1);
+});
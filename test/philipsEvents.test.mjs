@@ -0,0 +1,133 @@
+/**
+ * Philips PRS1 .002 events (parsePhilipsEvents in megascore.html and js/parsers/prs1.js)
+ * Run with: node --test test/
+ *
+ * The event chunks are built here byte by byte in the layout the parser documents: the 15 byte common
+ * header, the V3 hblock of (code, record size) pairs, a header checksum, the records and a CRC32.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+import { PRS1Parser } from '../js/parsers/prs1.js';
+
+const megascore = loadMegascore();
+const START = Date.UTC(2025, 0, 1, 23, 0, 0) / 1000;
+
+/** One chunk: records are [code, ...bytes after the code]. */
+function eventChunk({ family = 5, familyVersion = 3, fileVersion = 3, timestamp = START, sizes, records }) {
+    const hblock = [Object.keys(sizes).length, ...Object.entries(sizes).flatMap(([code, size]) => [Number(code), size])];
+    const body = [...hblock, 0, ...records.flat()];
+    const blockSize = 15 + body.length + 4;
+    const header = [fileVersion, blockSize & 0xff, blockSize >> 8, 0, family, familyVersion, 0, 1, 0, 0, 0,
+        timestamp & 0xff, (timestamp >> 8) & 0xff, (timestamp >> 16) & 0xff, (timestamp >>> 24) & 0xff];
+    return [...header, ...body, 0, 0, 0, 0];
+}
+
+const SIZES = { 0x05: 3, 0x06: 3, 0x07: 4, 0x0a: 4, 0x03: 6 };
+
+test('an F5V3 chunk gives its events at the time they started', () => {
+    const bytes = eventChunk({
+        sizes: SIZES,
+        records: [
+            [0x05, 60, 0, 12],               // OA reported 60 s in, lasting 12 s
+            [0x03, 30, 0, 1, 2, 3, 4],       // statistics - skipped, but its elapsed time counts
+            [0x07, 10, 0, 8, 15],            // unclassified apnea: 8 s before the report, 15 s long
+            [0x0a, 20, 0, 0x2d, 0x00, 0]     // periodic breathing, 45 * 2 s
+        ]
+    });
+    const parsed = megascore.parsePhilipsEvents(new Uint8Array(bytes).buffer);
+    assert.equal(parsed.unsupported, null);
+    // in the order they started - the long PB began before the OA was reported
+    assert.deepEqual(fromPage(parsed.events), [
+        { time: (START + 120 - 90) * 1000, duration: 90, type: 'PB' },
+        { time: (START + 60 - 12) * 1000, duration: 12, type: 'OA' },
+        { time: (START + 100 - 8) * 1000, duration: 15, type: 'UA' }
+    ]);
+});
+
+test('an F0V6 (DreamStation CPAP/APAP) chunk uses its own event codes', () => {
+    const bytes = eventChunk({
+        family: 0,
+        familyVersion: 6,
+        sizes: { 0x01: 3, 0x05: 3, 0x07: 3, 0x0a: 2, 0x0c: 5, 0x14: 3 },
+        records: [
+            [0x01, 0, 0, 80],                // pressure set - skipped
+            [0x05, 30, 0, 10],               // OA, 10 s before the report
+            [0x07, 30, 0, 20],               // hypopnea
+            [0x0a, 5, 0],                    // vibratory snore
+            [0x0c, 60, 0, 0x1e, 0x00, 4],    // large leak of 30 * 2 s, over 4 s before the report
+            [0x14, 10, 0, 6]                 // hypopnea
+        ]
+    });
+    const parsed = megascore.parsePhilipsEvents(new Uint8Array(bytes).buffer);
+    assert.equal(parsed.unsupported, null);
+    assert.deepEqual(fromPage(parsed.events), [
+        { time: (START + 20) * 1000, duration: 10, type: 'OA' },
+        { time: (START + 40) * 1000, duration: 20, type: 'H' },
+        { time: (START + 125 - 64) * 1000, duration: 60, type: 'LL' },
+        { time: (START + 65) * 1000, duration: 0, type: 'VS' },
+        { time: (START + 135 - 6) * 1000, duration: 6, type: 'H' }
+    ]);
+});
+
+test('an F3V6 (DreamStation BiPAP AVAPS) chunk uses its own event codes', () => {
+    const bytes = eventChunk({
+        family: 3,
+        familyVersion: 6,
+        sizes: { 0x01: 3, 0x04: 3, 0x06: 4, 0x07: 5, 0x0c: 3 },
+        records: [
+            [0x01, 2, 0, 15],                // timed breath - skipped
+            [0x04, 30, 0, 10],               // OA
+            [0x06, 30, 0, 99, 12],           // hypopnea: unknown byte, then 12 s before the report
+            [0x07, 100, 0, 0x28, 0x00, 2],   // periodic breathing of 40 * 2 s, over 2 s before the report
+            [0x0c, 10, 0, 5]                 // flow limitation
+        ]
+    });
+    const parsed = megascore.parsePhilipsEvents(new Uint8Array(bytes).buffer);
+    assert.equal(parsed.unsupported, null);
+    assert.deepEqual(fromPage(parsed.events), [
+        { time: (START + 32 - 10) * 1000, duration: 10, type: 'OA' },
+        { time: (START + 62 - 12) * 1000, duration: 12, type: 'H' },
+        { time: (START + 162 - 82) * 1000, duration: 80, type: 'PB' },
+        { time: (START + 172 - 5) * 1000, duration: 5, type: 'FL' }
+    ]);
+});
+
+test('the modular parser decodes each family the same as the page', () => {
+    const chunks = [
+        eventChunk({ sizes: SIZES, records: [[0x05, 60, 0, 12], [0x0a, 20, 0, 0x2d, 0x00, 0]] }),
+        eventChunk({ family: 0, familyVersion: 6, sizes: { 0x06: 3, 0x0b: 5 }, records: [[0x06, 9, 0, 3], [0x0b, 90, 0, 0x10, 0x00, 1]] }),
+        eventChunk({ family: 3, familyVersion: 6, sizes: { 0x05: 3, 0x09: 5 }, records: [[0x05, 9, 0, 3], [0x09, 90, 0, 0x10, 0x00, 1]] })
+    ];
+    for (const bytes of chunks) {
+        const buffer = new Uint8Array(bytes).buffer;
+        assert.deepEqual(PRS1Parser.parseEvents(buffer), fromPage(megascore.parsePhilipsEvents(buffer)));
+    }
+});
+
+test('model families OSCAR has no DreamStation event layout for are reported as unsupported, not decoded', () => {
+    for (const [family, familyVersion, fileVersion] of [[0, 4, 2], [5, 2, 2], [3, 3, 3]]) {
+        const bytes = eventChunk({ family, familyVersion, fileVersion, sizes: SIZES, records: [[0x05, 60, 0, 12]] });
+        const parsed = megascore.parsePhilipsEvents(new Uint8Array(bytes).buffer);
+        assert.equal(parsed.unsupported, `F${family}V${familyVersion}`);
+        assert.equal(parsed.events.length, 0);
+    }
+});
+
+test('a chunk running past the end of the file stops the parse', () => {
+    const good = eventChunk({ sizes: SIZES, records: [[0x06, 5, 0, 10]] });
+    const truncated = eventChunk({ sizes: SIZES, records: [[0x05, 60, 0, 12]] }).slice(0, 20);
+    const parsed = megascore.parsePhilipsEvents(new Uint8Array([...good, ...truncated]).buffer);
+    assert.deepEqual(fromPage(parsed.events.map(e => e.type)), ['CA']);
+});
+
+test('a code missing from the hblock ends the chunk without losing the events before it', () => {
+    const bytes = eventChunk({ sizes: SIZES, records: [[0x05, 60, 0, 12], [0x42, 1, 2, 3], [0x06, 5, 0, 10]] });
+    const parsed = megascore.parsePhilipsEvents(new Uint8Array(bytes).buffer);
+    assert.deepEqual(fromPage(parsed.events.map(e => e.type)), ['OA']);
+});
+
+test('the table says when a model\'s events are unsupported', () => {
+    assert.equal(megascore.formatEventCounts(null, 'F0V4'), 'Unsupported model (F0V4)');
+    assert.equal(megascore.formatEventCounts(null), 'N/A');
+});
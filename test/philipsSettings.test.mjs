@@ -0,0 +1,74 @@
+/**
+ * Philips PRS1 .001 summary settings (parsePhilipsHeader / parsePhilipsSettings / applyPhilipsSettings in megascore.html)
+ * Run with: node --test test/
+ *
+ * The summary chunks are built here with the V3 hblock (code, record size) pairs, a start record
+ * and the 0x01 settings record of (code, length, value...) entries.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+
+const megascore = loadMegascore();
+const START = Date.UTC(2025, 0, 1, 23, 0, 0) / 1000;
+
+/** One .001 chunk for the family, with its settings entries as [code, ...value bytes]. */
+function summaryChunk(family, familyVersion, entries) {
+    const settings = entries.flatMap(([code, ...value]) => [code, value.length, ...value]);
+    const hblock = [2, 0x00, 4, 0x01, settings.length];
+    const body = [...hblock, 0, 0x00, 1, 2, 3, 4, 0x01, ...settings];
+    const blockSize = 15 + body.length + 4;
+    const header = [3, blockSize & 0xff, blockSize >> 8, 0, family, familyVersion, 0, 1, 0, 0, 0,
+        START & 0xff, (START >> 8) & 0xff, (START >> 16) & 0xff, (START >>> 24) & 0xff];
+    return new Uint8Array([...header, ...body, 0, 0, 0, 0]).buffer;
+}
+
+test('the session start comes from the chunk timestamp', () => {
+    const header = megascore.parsePhilipsHeader(summaryChunk(0, 6, [[0x0a, 80]]));
+    assert.equal(header.timestamp, START);
+    assert.equal(header.startDateTime.getTime(), START * 1000);
+});
+
+test('F0V6 CPAP pressure, C-Flex+, humidity, tubing and mask resistance', () => {
+    const { settings } = megascore.parsePhilipsHeader(summaryChunk(0, 6, [
+        [0x0a, 95], [0x2e, 0x90, 2], [0x35, 3 << 3, 0], [0x38, 0], [0x3b, 1]
+    ]));
+    assert.deepEqual(fromPage(settings), {
+        mode: 'CPAP', ipap: 9.5, epap: 9.5, flex: 'C-Flex+ 2', humidifier: 'Humidity 3',
+        maskResistance: 'Off', tubeType: '15 mm'
+    });
+});
+
+test('F0V6 APAP minimum and maximum pressure', () => {
+    const { settings } = megascore.parsePhilipsHeader(summaryChunk(0, 6, [[0x0c, 60, 140], [0x2e, 0xa0, 0]]));
+    assert.equal(settings.mode, 'APAP');
+    assert.equal(settings.minIPAP, 6);
+    assert.equal(settings.maxIPAP, 14);
+    assert.equal(settings.flex, 'Off');
+});
+
+test('F5V3 autoSV pressures are in 0.125 cmH2O and its flex is Bi-Flex', () => {
+    const { settings } = megascore.parsePhilipsHeader(summaryChunk(5, 3, [[0x0a, 200, 40, 80, 24, 120], [0x2e, 0x00, 1]]));
+    assert.equal(settings.mode, 'ASV Auto');
+    assert.equal(settings.minEPAP, 5);
+    assert.equal(settings.maxEPAP, 10);
+    assert.equal(settings.ps, 3);
+    assert.equal(settings.ipap, 15);
+    assert.equal(settings.flex, 'Bi-Flex 1');
+});
+
+test('an entry whose length doesn\'t match its code is skipped', () => {
+    const { settings } = megascore.parsePhilipsHeader(summaryChunk(0, 6, [[0x0a, 95], [0x0c, 60]]));
+    assert.equal(settings.mode, 'CPAP');
+    assert.equal(settings.minIPAP, undefined);
+});
+
+test('settings fill the session fields the ResMed STR data does, N/A where the machine has none', () => {
+    const session = {};
+    megascore.applyPhilipsSettings(session, { mode: 'CPAP', ipap: 9.5, epap: 9.5, flex: 'C-Flex 3' });
+    assert.equal(session.papMode, 'CPAP');
+    assert.equal(session.ipap, 9.5);
+    assert.equal(session.minEPAP, 'N/A');
+    assert.equal(session.flex, 'C-Flex 3');
+    assert.equal(session.humidifier, 'N/A');
+});
@@ -0,0 +1,65 @@
+/**
+ * Philips PRS1 .005 waveforms (parsePhilipsWaveform in megascore.html)
+ * Run with: node --test test/
+ *
+ * The waveform chunks are built here in the layout the parser documents: the 15 byte common header,
+ * the interval header and channel list, then groups of each channel's interleave samples in turn.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+
+const megascore = loadMegascore();
+
+/** One V3 waveform chunk; channels are { kind, interleave, groups: [[sample bytes of each interval]] }. */
+function waveformChunk({ family = 0, familyVersion = 6, intervalSeconds = 1, channels }) {
+    const intervals = channels[0].groups.length;
+    const head = [intervals & 0xff, intervals >> 8, intervalSeconds, channels.length,
+        ...channels.flatMap(ch => [ch.kind, ch.interleave & 0xff, ch.interleave >> 8, 8]), 0, 0];
+    const samples = [];
+    for (let g = 0; g < intervals; g++) channels.forEach(ch => samples.push(...ch.groups[g]));
+    const blockSize = 15 + head.length + samples.length + 4;
+    const header = [3, blockSize & 0xff, blockSize >> 8, 1, family, familyVersion, 0, 1, 0, 0, 0, 0, 0, 0, 0];
+    return [...header, ...head, ...samples, 0, 0, 0, 0];
+}
+
+test('flow alone is read as signed L/min at the interleave rate', () => {
+    const bytes = waveformChunk({ channels: [{ kind: 0, interleave: 5, groups: [[1, 2, 3, 0xff, 0x80], [10, 20, 30, 40, 50]] }] });
+    const parsed = megascore.parsePhilipsWaveform(new Uint8Array(bytes).buffer);
+    assert.equal(parsed.sampleRateHz, 5);
+    assert.equal(parsed.duration, 2);
+    assert.deepEqual(fromPage(parsed.flowSamples), [1, 2, 3, -1, -128, 10, 20, 30, 40, 50]);
+    assert.equal(parsed.pressureSamples, null);
+});
+
+test('flow and mask pressure are de-interleaved, pressure unsigned in 0.1 cmH2O', () => {
+    const bytes = waveformChunk({
+        channels: [
+            { kind: 0, interleave: 5, groups: [[1, 2, 3, 4, 5], [0xfb, 0xfc, 0xfd, 0xfe, 0xff]] },
+            { kind: 1, interleave: 1, groups: [[100], [200]] }
+        ]
+    });
+    const parsed = megascore.parsePhilipsWaveform(new Uint8Array(bytes).buffer);
+    assert.deepEqual(fromPage(parsed.flowSamples), [1, 2, 3, 4, 5, -5, -4, -3, -2, -1]);
+    assert.deepEqual(fromPage(parsed.pressureSamples), [10, 20]);
+    assert.equal(parsed.pressureSampleRateHz, 1);
+    assert.equal(parsed.channels.length, 2);
+});
+
+test('F5V3 mask pressure is in 0.125 cmH2O', () => {
+    const bytes = waveformChunk({
+        family: 5, familyVersion: 3,
+        channels: [{ kind: 0, interleave: 5, groups: [[0, 0, 0, 0, 0]] }, { kind: 1, interleave: 1, groups: [[80]] }]
+    });
+    const parsed = megascore.parsePhilipsWaveform(new Uint8Array(bytes).buffer);
+    assert.deepEqual(fromPage(parsed.pressureSamples), [10]);
+});
+
+test('samples carry on across chunks', () => {
+    const chunk = (a, p) => waveformChunk({ channels: [{ kind: 0, interleave: 5, groups: [a] }, { kind: 1, interleave: 1, groups: [[p]] }] });
+    const bytes = [...chunk([1, 1, 1, 1, 1], 50), ...chunk([2, 2, 2, 2, 2], 60)];
+    const parsed = megascore.parsePhilipsWaveform(new Uint8Array(bytes).buffer);
+    assert.deepEqual(fromPage(parsed.flowSamples), [1, 1, 1, 1, 1, 2, 2, 2, 2, 2]);
+    assert.deepEqual(fromPage(parsed.pressureSamples), [5, 6]);
+    assert.equal(parsed.duration, 2);
+});
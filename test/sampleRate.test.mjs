@@ -0,0 +1,115 @@
+/**
+ * Sample rate independence
+ * Run with: node --test test/
+ *
+ * The same synthetic night of breathing, sampled at 5, 10, 25 and 50 Hz, must come out with the
+ * same Glasgow Index from both copies of the analysis - the Glasgow Index plugin the modular app
+ * runs and FlowLimits.js that megascore.html runs. Every breath phase starts and ends on a 0.2
+ * second boundary, so each rate samples the peaks and the crossings of the grey zone alike.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { GlasgowIndexPlugin } from '../js/analysis/algorithms/glasgow_core.js';
+
+const RATES = [5, 10, 25, 50];
+const GI_KEYS = ['overall', 'skew', 'spike', 'flatTop', 'topHeavy', 'multiPeak', 'noPause', 'inspirRate', 'multiBreath', 'ampVar'];
+
+// Inspiration shapes over 0..1 of the inspiration, peaking at 1
+const SHAPES = {
+    normal: p => Math.sin(Math.PI * p),
+    skewed: p => Math.sin(Math.PI * Math.pow(p, 0.5)),
+    flat: p => Math.min(1, 5 * p, 5 * (1 - p)),
+    spike: p => 1 - Math.abs(2 * p - 1),
+    twoPeaks: p => Math.pow(Math.sin(Math.PI * p), 0.6) * (1 - 0.6 * Math.exp(-Math.pow((p - 0.5) / 0.08, 2)))
+};
+
+/**
+ * One breath: inspiration, expiration and the pause before the next (seconds, multiples of 0.2).
+ * A breath with a second inspiration has no expiration between its two.
+ */
+function breath(shape, { peak = 30, inspSec = 1.6, expSec = 2.0, pauseSec = 1.0, secondInspiration = false } = {}) {
+    return { shape, peak, inspSec, expSec, pauseSec, secondInspiration };
+}
+
+// A few minutes of each kind of breathing the indices look for
+function syntheticNight() {
+    const breaths = [];
+    for (let i = 0; i < 30; i++) breaths.push(breath('normal'));
+    for (let i = 0; i < 20; i++) breaths.push(breath(['skewed', 'flat', 'spike', 'twoPeaks'][i % 4], { inspSec: 3.2 }));
+    for (let i = 0; i < 20; i++) breaths.push(breath('normal', { expSec: 0.8, pauseSec: 0.2 }));                   // fast
+    for (let i = 0; i < 20; i++) breaths.push(breath('normal', { peak: i % 2 ? 20 : 40 }));                        // varying
+    for (let i = 0; i < 20; i++) breaths.push(breath('normal', { inspSec: 0.8 }));                                 // short
+    for (let i = 0; i < 10; i++) breaths.push(breath('normal', { secondInspiration: i % 2 === 0 }));
+    for (let i = 0; i < 30; i++) breaths.push(breath('normal', { pauseSec: i % 3 ? 1.0 : 0 }));
+    return breaths;
+}
+
+/** The flow (L/min) at each sample of the breaths at the sampling rate. */
+function sampleBreaths(breaths, samplingRate) {
+    const values = [];
+    const phase = (seconds, fn) => {
+        const count = Math.round(seconds * samplingRate);
+        for (let i = 0; i < count; i++) values.push(fn(i / count));
+    };
+    phase(2, () => 0);
+    for (const b of breaths) {
+        phase(b.inspSec, p => b.peak * SHAPES[b.shape](p));
+        if (b.secondInspiration) {
+            phase(0.4, () => 0);
+            phase(b.inspSec, p => b.peak * SHAPES.normal(p));
+        }
+        phase(b.expSec, p => -25 * Math.sin(Math.PI * p));
+        phase(b.pauseSec, () => 0);
+    }
+    phase(2, () => 0);
+    return Float32Array.from(values);
+}
+
+/** FlowLimits.js is a plain script - run it in a context of its own and call its globals. */
+function loadFlowLimits() {
+    const context = vm.createContext({ console, window: {} });
+    vm.runInContext(readFileSync(new URL('../FlowLimits.js', import.meta.url), 'utf8'), context);
+    return context;
+}
+
+function flowLimitsIndex(flowLimits, values, samplingRate) {
+    const flowSignal = flowLimits.makeSignal(values, new Date(2025, 0, 1, 23, 0, 0), samplingRate);
+    const results = {};
+    const isMin = flowLimits.findMins(flowSignal);
+    flowLimits.findInspirations(flowSignal, results);
+    flowLimits.calcCycleBasedIndicators(flowSignal, results, isMin);
+    flowLimits.inspirationAmplitude(flowSignal, results);
+    return { inspirations: results.inspirations.length, cumIndex: flowLimits.prepIndices(results) };
+}
+
+function pluginIndex(values, samplingRate) {
+    const output = GlasgowIndexPlugin.process(values, samplingRate, {});
+    return { inspirations: output.inspirations.length, cumIndex: output.cumIndex };
+}
+
+function pickIndices(result) {
+    const picked = { inspirations: result.inspirations };
+    GI_KEYS.forEach(key => { picked[key] = result.cumIndex[key]; });
+    return picked;
+}
+
+const breaths = syntheticNight();
+
+test('the Glasgow Index plugin gives the same indices at every sample rate', () => {
+    const at25Hz = pickIndices(pluginIndex(sampleBreaths(breaths, 25), 25));
+    // every component is exercised, so a rate-dependent threshold would show
+    GI_KEYS.forEach(key => assert.ok(at25Hz[key] > 0, `${key} is flagged at 25 Hz`));
+    for (const rate of RATES) {
+        assert.deepEqual(pickIndices(pluginIndex(sampleBreaths(breaths, rate), rate)), at25Hz, `${rate} Hz`);
+    }
+});
+
+test('FlowLimits.js gives the same indices at every sample rate, and the same as the plugin', () => {
+    const flowLimits = loadFlowLimits();
+    const at25Hz = pickIndices(pluginIndex(sampleBreaths(breaths, 25), 25));
+    for (const rate of RATES) {
+        assert.deepEqual(pickIndices(flowLimitsIndex(flowLimits, sampleBreaths(breaths, rate), rate)), at25Hz, `${rate} Hz`);
+    }
+});
@@ -0,0 +1,80 @@
+/**
+ * Night grouping and session classification rules - both copies: classifySessionsForNight in
+ * megascore.html and NightGrouper in the modular app (js/analysis/nights.js)
+ * Run with: node --test test/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+import { NightGrouper } from '../js/analysis/nights.js';
+
+const megascore = loadMegascore();
+const DEFAULT_RULES = fromPage(megascore.evaluate('DEFAULT_SESSION_RULES'));
+
+/** A session starting at hh:mm on 2025-01-01 (later hours roll into the next day), lasting the hours given. */
+function session(hour, minute, hours, name = `${hour}:${minute}`) {
+    const start = new Date(2025, 0, 1, hour, minute);
+    return { fileName: name, startDateTime: start, endDateTime: new Date(start.getTime() + hours * 3600000), duration: hours };
+}
+
+/** The types megascore.html gives the sessions of one night. */
+function megascoreTypes(sessions, rules = DEFAULT_RULES) {
+    megascore.classifySessionsForNight(sessions, rules);
+    return sessions.map(s => s._sessionType);
+}
+
+/** The types the modular app gives them, with the same rules - all sessions put on the same night. */
+function modularTypes(sessions, rules = DEFAULT_RULES) {
+    const nights = NightGrouper.group(sessions.map(s => ({ ...s, nightDate: '2025-01-01', results: {} })), rules, []);
+    return nights[0].sessions.map(s => s.sessionType);
+}
+
+const bothTypes = (sessions, rules) => {
+    const types = megascoreTypes(sessions.map(s => ({ ...s })), rules);
+    assert.deepEqual(modularTypes(sessions, rules), types);
+    return types;
+};
+
+test('the modular app reads the same default rules from its settings', () => {
+    assert.deepEqual(NightGrouper.rulesFrom({}), DEFAULT_RULES);
+});
+
+test('short standalone sessions from 10 AM to 8 PM are naps, as before the rules were configurable', () => {
+    for (const hour of [10, 11, 14, 19]) {
+        assert.deepEqual(bothTypes([session(hour, 0, 1)]), ['nap'], `${hour}:00`);
+    }
+    assert.deepEqual(bothTypes([session(9, 0, 1)]), ['main']);
+    assert.deepEqual(bothTypes([session(20, 0, 1)]), ['main']);
+    assert.deepEqual(bothTypes([session(14, 0, 4)]), ['main']);
+});
+
+test('gaps in the sleep window are breaks or more of the main sleep', () => {
+    assert.deepEqual(bothTypes([session(23, 0, 3), session(26, 5, 3)]), ['main', 'bathroom']);
+    assert.deepEqual(bothTypes([session(23, 0, 3), session(26, 20, 3)]), ['main', 'bathroom']);
+    assert.deepEqual(bothTypes([session(23, 0, 3), session(26, 45, 3)]), ['main', 'main']);
+    assert.deepEqual(bothTypes([session(23, 0, 3), session(26, 45, 0.2)]), ['main', 'bathroom']);
+});
+
+test('a short gap is a break at any time of day, a longer one outside the sleep window isn\'t', () => {
+    assert.deepEqual(bothTypes([session(13, 0, 1), session(14, 5, 1)]), ['nap', 'bathroom']);
+    assert.deepEqual(bothTypes([session(13, 0, 1), session(14, 20, 1)]), ['nap', 'nap']);
+});
+
+test('a ResMed split at noon continues the main sleep', () => {
+    assert.deepEqual(bothTypes([session(4, 0, 8), session(12, 15, 2)]), ['main', 'noon-split']);
+});
+
+test('a shift worker\'s daytime sleep is the main sleep, an evening lie-down a nap', () => {
+    const rules = { ...DEFAULT_RULES, sleepStartHour: 8, sleepEndHour: 16, napStartHour: 16 };
+    assert.deepEqual(bothTypes([session(8, 0, 7)], rules), ['main']);
+    assert.deepEqual(bothTypes([session(18, 0, 1)], rules), ['nap']);
+    assert.deepEqual(bothTypes([session(5, 0, 1)], rules), ['nap']);
+});
+
+test('naps are left out of the night and the rest kept', () => {
+    const sessions = [session(11, 0, 1), session(23, 0, 7)];
+    megascore.classifySessionsForNight(sessions, DEFAULT_RULES);
+    assert.deepEqual(sessions.map(s => s._includedInDay), [false, true]);
+    const nights = NightGrouper.group([session(11, 0, 1), session(23, 0, 7)].map(s => ({ ...s, nightDate: '2025-01-01', results: {} })), DEFAULT_RULES, []);
+    assert.deepEqual(nights[0].sessions.map(s => s.included), [false, true]);
+});
@@ -0,0 +1,51 @@
+/**
+ * ResMed card layouts and the sleep night of each session (detectCardLayout / assignSleepNights /
+ * applyCardNightDate in megascore.html)
+ * Run with: node --test test/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, cardFile, fromPage } from './helpers/megascore.mjs';
+
+const megascore = loadMegascore();
+const brp = (path) => cardFile(path, new Uint8Array(0));
+
+test('the layout comes from the DATALOG folder names', () => {
+    assert.equal(megascore.detectCardLayout([brp('SD/DATALOG/20260127/20260127_230000_BRP.edf')]), 'day');
+    assert.equal(megascore.detectCardLayout([brp('SD/DATALOG/2026/20260127_230000_BRP.edf')]), 'year');
+    assert.equal(megascore.detectCardLayout([brp('backup/20260127_230000_BRP.edf')]), 'loose');
+});
+
+test('day folders give the night directly, even for sessions after midnight', () => {
+    const files = [brp('SD/DATALOG/20260127/20260128_020000_BRP.edf')];
+    megascore.assignSleepNights(files, 'day', [], null);
+    assert.equal(files[0]._nightDate, '20260127');
+});
+
+test('year folders take the night of the session set each session belongs to', () => {
+    const files = [brp('SD/DATALOG/2026/20260128_020000_BRP.edf'), brp('SD/DATALOG/2026/20260128_130000_BRP.edf')];
+    const sets = [cardFile('SD/DATALOG/2026/20260127_225955_EVE.edf', new Uint8Array(0)),
+        cardFile('SD/DATALOG/2026/20260128_125955_EVE.edf', new Uint8Array(0))];
+    const sources = megascore.assignSleepNights(files, 'year', sets, { dayStartHour: 12 });
+    assert.deepEqual(files.map(f => f._nightDate), ['20260127', '20260128']);
+    assert.deepEqual(fromPage(sources), { 'session sets': 2 });
+});
+
+test('without session sets the STR.edf day boundary decides', () => {
+    const files = [brp('backup/20260128_110000_BRP.edf')];
+    megascore.assignSleepNights(files, 'loose', [], { dayStartHour: 12 });
+    assert.equal(files[0]._nightDate, '20260127');
+});
+
+test('a cached session moves to the night a later load gives it', () => {
+    const session = { sleepNightDate: '2026-01-27', _hasFolderDate: true };
+    assert.equal(megascore.applyCardNightDate(session, '20260127'), false);
+    assert.equal(megascore.applyCardNightDate(session, '20260128'), true);
+    assert.equal(session.sleepNightDate, '2026-01-28');
+});
+
+test('a cached session dated by the time of day takes the card\'s night even when it\'s the same date', () => {
+    const session = { sleepNightDate: '2026-01-27', _hasFolderDate: false };
+    assert.equal(megascore.applyCardNightDate(session, '20260127'), true);
+    assert.equal(session._hasFolderDate, true);
+});
@@ -0,0 +1,124 @@
+/**
+ * Wobble analysis parameters from the settings (loadSettings / getWobbleParams / isWobbleStale / refreshWobbleInBackground in
+ * megascore.html, computeWobbleMetrics in SessionAnalysis.js)
+ * Run with: node --test test/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMegascore, fromPage } from './helpers/megascore.mjs';
+
+const withSettings = (settings) => {
+    const megascore = loadMegascore({ storage: { megascore_settings: JSON.stringify(settings) } });
+    megascore.loadSettings();
+    return megascore;
+};
+
+// Ten minutes of 15 breaths a minute at 25 Hz: sinusoidal breaths, or clipped to flat-topped ones
+const RATE = 25;
+const breathing = (clip = Infinity) => Float64Array.from({ length: 10 * 60 * RATE },
+    (_, i) => Math.min(clip, 20 * Math.sin(2 * Math.PI * (15 / 60) * i / RATE)));
+
+test('a Wobble window saved before version 2 as the old 30 s default reverts to 60 s', () => {
+    assert.equal(withSettings({ wobble_entropy_windowSec: 30 }).getWobbleParams().entropyWindowSec, 60);
+    assert.equal(withSettings({ wobble_entropy_windowSec: 45 }).getWobbleParams().entropyWindowSec, 45);
+});
+
+test('a 30 s window chosen since version 2 is kept', () => {
+    const megascore = withSettings({ wobble_entropy_windowSec: 30, settingsVersion: 2 });
+    assert.equal(megascore.getWobbleParams().entropyWindowSec, 30);
+    assert.equal(megascore.evaluate('megascoreSettings').settingsVersion, undefined);
+});
+
+test('saved settings carry the version, so the migration runs once', () => {
+    const megascore = withSettings({ wobble_entropy_windowSec: 30 });
+    megascore.saveSettings();
+    const saved = JSON.parse(megascore.localStorage.getItem('megascore_settings'));
+    assert.equal(saved.settingsVersion, 2);
+    assert.equal(saved.wobble_entropy_windowSec, 60);
+});
+
+test('the parameters come from the settings, an invalid one from the defaults', () => {
+    const megascore = withSettings({ wobble_entropy_m: 3, wobble_fft_enabled: false, wobble_pb_minHz: null, wobble_flowLim_enabled: 'yes' });
+    const params = fromPage(megascore.getWobbleParams());
+    assert.equal(params.entropyM, 3);
+    assert.equal(params.fftEnabled, false);
+    assert.equal(params.pbMinHz, 0.01);
+    assert.equal(params.flowLimEnabled, true);
+});
+
+test('sessions computed with other parameters are stale, older caches count as the defaults', () => {
+    const megascore = withSettings({});
+    const defaults = fromPage(megascore.evaluate('DEFAULT_WOBBLE_PARAMS'));
+    assert.equal(megascore.isWobbleStale({}, defaults), false);
+    assert.equal(megascore.isWobbleStale({}, { ...defaults, entropyWindowSec: 90 }), true);
+    assert.equal(megascore.isWobbleStale({ wobbleParams: { ...defaults, entropyWindowSec: 90 } }, { ...defaults, entropyWindowSec: 90 }), false);
+});
+
+test('metrics switched off come back as NaN', () => {
+    const megascore = withSettings({});
+    const defaults = fromPage(megascore.evaluate('DEFAULT_WOBBLE_PARAMS'));
+    const metrics = megascore.computeWobbleMetrics(breathing(), RATE, { ...defaults, fftEnabled: false, flowLimEnabled: false });
+    assert.ok(Number.isNaN(metrics.periodicityIndex));
+    assert.ok(Number.isNaN(metrics.flScore));
+});
+
+test('flat-topped breaths score as flow limited, and the flatness target sets how much', () => {
+    const megascore = withSettings({});
+    const defaults = fromPage(megascore.evaluate('DEFAULT_WOBBLE_PARAMS'));
+    const round = megascore.computeWobbleMetrics(breathing(), RATE, defaults).flScore;
+    const flat = megascore.computeWobbleMetrics(breathing(12), RATE, defaults).flScore;
+    const flatLooser = megascore.computeWobbleMetrics(breathing(12), RATE, { ...defaults, flFlatnessTarget: 0.1 }).flScore;
+    assert.ok(flat > round, `${flat} > ${round}`);
+    assert.ok(flatLooser > flat, `${flatLooser} > ${flat}`);
+});
+
+/** Loaded sessions with Wobble metrics from the default parameters, and the page's cache and redraw stubbed out. */
+function loadedSessions(megascore, count) {
+    const defaults = fromPage(megascore.evaluate('DEFAULT_WOBBLE_PARAMS'));
+    const sessions = Array.from({ length: count }, (_, i) => ({
+        fileName: `session${i}`,
+        flowSignal: megascore.makeSignal(Float32Array.from(breathing()), new Date(2025, 0, 1, 23, i), RATE),
+        wobble: { sampleEntropy: 0 },
+        wobbleParams: defaults
+    }));
+    const cached = [];
+    megascore.setCachedResult = async session => { cached.push(session.fileName); };
+    megascore.displayResults = () => {};
+    return { sessions, cached };
+}
+
+test('a Wobble setting change re-analyses the stale sessions in the analysis pool', async () => {
+    const megascore = withSettings({ wobble_entropy_windowSec: 90, settingsVersion: 2 });
+    const { sessions, cached } = loadedSessions(megascore, 2);
+    const analysed = [];
+    const analyzeSessionData = megascore.analyzeSessionData;
+    megascore.analyzeSessionData = (job, onStage) => {
+        analysed.push(job.kind);
+        return analyzeSessionData(job, onStage);
+    };
+
+    await megascore.refreshWobbleInBackground(sessions);
+    const params = megascore.getWobbleParams();
+    assert.deepEqual(analysed, ['flow', 'flow']);
+    assert.deepEqual(cached, ['session0', 'session1']);
+    for (const session of sessions) {
+        assert.equal(megascore.isWobbleStale(session, params), false);
+        assert.deepEqual(fromPage(session.wobble), fromPage(megascore.runWobbleAnalysis(session.flowSignal, params)));
+    }
+    assert.equal(megascore.evaluate('currentLoad'), null);
+});
+
+test('a cancelled refresh keeps the old metrics and isn\'t started again for the same parameters', async () => {
+    const megascore = withSettings({ wobble_entropy_windowSec: 90, settingsVersion: 2 });
+    const { sessions, cached } = loadedSessions(megascore, 2);
+
+    const refresh = megascore.refreshWobbleInBackground(sessions);
+    megascore.cancelProcessing();
+    await refresh;
+    assert.deepEqual(cached, []);
+    assert.deepEqual(sessions.map(session => session.wobble.sampleEntropy), [0, 0]);
+
+    await megascore.refreshWobbleInBackground(sessions);
+    assert.deepEqual(cached, []);
+    assert.equal(megascore.evaluate('currentLoad'), null);
+});